@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Run work(session) inside a MongoDB transaction and return its result.
+// withTransaction may retry the callback on transient errors, so work must be safe to re-run.
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = withTransaction;
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../Schema/Schema'); // Adjust path to your models
+const crypto = require('crypto');
+const { User, IdempotencyKey } = require('../Schema/Schema'); // Adjust path to your models
+const { ProviderError } = require('../Services/ProviderErrors');
+const apiKeyService = require('../Services/ApiKeys');
+const schemaValidator = require('../Services/SchemaValidator');
 
 // JWT Authentication middleware (for web dashboard)
 const authenticate = async (req, res, next) => {
@@ -24,26 +28,57 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// API Key authentication for all users (not just developers)
-const authenticateAPI = async (req, res, next) => {
+// API key authentication for all users (not just developers).
+// authenticateAPI('transfer') only admits keys holding that scope; with several scopes any one will do.
+// A request carrying X-Ishare-Signature is verified (see Services/ApiKeys), and keys with
+// requireSignature refuse unsigned requests.
+const authenticateAPI = (...scopes) => async (req, res, next) => {
   try {
-    const apiKey = req.header('X-API-Key');
+    const key = req.header('X-API-Key');
     
-    if (!apiKey) {
+    if (!key) {
       return res.status(401).json({ error: 'API key required. Include X-API-Key header.' });
     }
 
-    const user = await User.findOne({ 
-      apiKey: apiKey, 
-      isActive: true 
-    });
+    const { apiKey, user, error } = await apiKeyService.authenticate(key, req.ip);
+
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    const signature = req.header('X-Ishare-Signature');
+
+    if (signature || apiKey.requireSignature) {
+      if (!signature) {
+        return res.status(401).json({ error: 'This API key requires signed requests. Include X-Ishare-Signature, X-Ishare-Timestamp and X-Ishare-Nonce headers.' });
+      }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid API key.' });
+      const verification = await apiKeyService.verifyRequest(apiKey, {
+        method: req.method,
+        path: req.originalUrl,
+        body: req.rawBody,
+        timestamp: req.header('X-Ishare-Timestamp'),
+        nonce: req.header('X-Ishare-Nonce'),
+        signature
+      });
+
+      if (verification.error) {
+        return res.status(401).json({ error: verification.error });
+      }
+    }
+
+    if (scopes.length && !scopes.some(scope => apiKey.scopes.includes(scope))) {
+      return res.status(403).json({ 
+        error: `API key is missing the required scope: ${scopes.join(' or ')}`,
+        requiredScopes: scopes,
+        keyScopes: apiKey.scopes
+      });
     }
 
     req.user = user;
+    req.apiKey = apiKey;
     req.isAPIRequest = true;
+    req.isSignedRequest = Boolean(signature);
     next();
   } catch (error) {
     res.status(401).json({ error: 'API authentication failed.' });
@@ -57,7 +92,7 @@ const authenticateFlexible = async (req, res, next) => {
 
   // Prefer API key if provided
   if (apiKey) {
-    return authenticateAPI(req, res, next);
+    return authenticateAPI()(req, res, next);
   }
   
   // Fall back to JWT authentication
@@ -139,10 +174,179 @@ const apiRateLimit = rateLimit(15 * 60 * 1000, 50); // 50 requests per 15 minute
 // Web Rate limiting (more lenient for web users)
 const webRateLimit = rateLimit(15 * 60 * 1000, 200); // 200 requests per 15 minutes
 
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MS = (parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+// Idempotency-Key support for money-moving routes (use after authentication).
+// The first request with a key is processed and its response stored; replays get the
+// stored response, and reusing the key for a different request gets 409. A request that
+// died mid-way leaves its key 'processing' - after IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES
+// the key can be used again, unless the request had already moved money (see markReserved).
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const path = req.baseUrl + req.path;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      method: req.method,
+      path,
+      fingerprint,
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    let existing;
+
+    try {
+      existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+      if (existing && existing.fingerprint === fingerprint && existing.status === 'processing' && !existing.reserved &&
+        existing.updatedAt.getTime() <= Date.now() - IDEMPOTENCY_PROCESSING_TIMEOUT_MS) {
+        // The original request died before moving any money - take the key over
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', reserved: false, updatedAt: existing.updatedAt },
+          { expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) },
+          { new: true }
+        );
+      }
+    } catch (lookupError) {
+      return next(lookupError);
+    }
+
+    if (!record) {
+      if (!existing) {
+        return res.status(409).json({ error: 'Idempotency-Key conflict. Please retry.' });
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency-Key has already been used with a different request',
+          originalRequest: { method: existing.method, path: existing.path }
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      res.status(existing.responseStatus);
+
+      if (typeof existing.responseBody !== 'string') {
+        return res.json(existing.responseBody);
+      }
+
+      if (existing.responseType) {
+        res.set('Content-Type', existing.responseType);
+      }
+
+      return res.send(existing.responseBody);
+    }
+  }
+
+  res.locals.idempotencyKey = record;
+
+  // Capture the body however the route answers (res.json hands its text on to res.send)
+  let responseBody;
+  const originalSend = res.send.bind(res);
+
+  res.send = (body) => {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      responseBody = body.toString();
+    }
+
+    return originalSend(body);
+  };
+
+  // Store the response once it has gone out, whichever method sent it
+  res.on('finish', () => {
+    const save = res.statusCode >= 500 && !res.locals.idempotencyReserved
+      // Server-side failures that moved no money are not stored - the client may retry with the same key
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseType: res.get('Content-Type'),
+          responseBody: responseBody === undefined ? '' : responseBody
+        }
+      );
+
+    save.catch(error => console.error('Failed to store idempotent response:', error.message));
+  });
+
+  next();
+};
+
+// Idempotent routes call this as soon as the request has moved money (a balance held,
+// credited or debited). From then on the key is never released for another attempt,
+// even if the request goes on to fail with a 5xx or dies.
+const markReserved = (res) => {
+  const record = res.locals.idempotencyKey;
+
+  if (!record || res.locals.idempotencyReserved) {
+    return;
+  }
+
+  res.locals.idempotencyReserved = true;
+
+  IdempotencyKey.updateOne({ _id: record._id }, { reserved: true })
+    .catch(error => console.error('Failed to mark idempotent request as reserved:', error.message));
+};
+
+// Answer with the provider error envelope (see Services/ProviderErrors.js).
+// Anything that is not a ProviderError is reported as the provider being unavailable.
+const sendProviderError = (res, error, extra = {}) => {
+  const providerError = ProviderError.from(error);
+
+  if (providerError.retryAt) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((providerError.retryAt.getTime() - Date.now()) / 1000))));
+  }
+
+  return res.status(providerError.httpStatus).json(providerError.toResponse(extra));
+};
+
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
   console.error(err.stack);
 
+  if (err instanceof ProviderError) {
+    return sendProviderError(res, err);
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const errors = Object.values(err.errors).map(e => e.message);
@@ -207,6 +411,40 @@ const validateObjectId = (paramName) => {
   };
 };
 
+// Check bodies and query strings against an OpenAPI document (use with router.use).
+// Requests for paths the document does not describe pass through untouched.
+const validateRequest = (document) => {
+  const operations = Object.entries(document.paths)
+    .flatMap(([template, item]) => Object.entries(item).map(([method, operation]) => ({
+      method: method.toUpperCase(),
+      pattern: new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`),
+      // Literal paths win over templated ones (/keys/current before /keys/{id})
+      parameters: (template.match(/\{/g) || []).length,
+      operation
+    })))
+    .sort((a, b) => a.parameters - b.parameters);
+
+  return (req, res, next) => {
+    const match = operations.find(candidate => candidate.method === req.method && candidate.pattern.test(req.path));
+
+    if (!match) {
+      return next();
+    }
+
+    const errors = schemaValidator.validateOperation(match.operation, req, document);
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: `${errors[0].path} ${errors[0].message}`,
+        details: errors
+      });
+    }
+
+    next();
+  };
+};
+
 // Check if user owns resource
 const checkOwnership = (model, paramName = 'id') => {
   return async (req, res, next) => {
@@ -246,11 +484,15 @@ module.exports = {
   developerOnly,
   adminOrDeveloper,
   trackPurchaseMethod,
+  idempotency,
+  markReserved,
   rateLimit,
   apiRateLimit,
   webRateLimit,
   errorHandler,
+  sendProviderError,
   logger,
   validateObjectId,
+  validateRequest,
   checkOwnership
 };
\ No newline at end of file
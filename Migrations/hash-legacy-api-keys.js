@@ -0,0 +1,63 @@
+// migrations/hash-legacy-api-keys.js - Move plaintext User.apiKey values into hashed API keys
+//
+//   node Migrations/hash-legacy-api-keys.js            apply
+//   node Migrations/hash-legacy-api-keys.js --dry-run  report only
+//
+// Legacy keys are otherwise only moved the first time they are used, so keys that are
+// never used stay in the users collection in plaintext. Each one becomes an ApiKey with
+// the default scopes (the same as adoption on first use) and is unset from the user.
+// Keys of inactive users are moved as well - they must not stay readable either.
+// Safe to run more than once.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const ConnectDB = require('../Connection/connection');
+const { User } = require('../Schema/Schema');
+const apiKeyService = require('../Services/ApiKeys');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await ConnectDB();
+  console.log(`🔑 Hashing legacy API keys${dryRun ? ' (dry run - nothing is written)' : ''}`);
+
+  // Raw collection - apiKey is not selected by the model
+  const cursor = User.collection.find(
+    { apiKey: { $exists: true, $nin: [null, ''] } },
+    { projection: { apiKey: 1, email: 1 } }
+  );
+
+  const failed = [];
+  let scanned = 0;
+  let moved = 0;
+
+  for await (const user of cursor) {
+    scanned += 1;
+
+    if (dryRun) {
+      continue;
+    }
+
+    try {
+      await apiKeyService.adoptLegacy(user, user.apiKey);
+      moved += 1;
+    } catch (error) {
+      failed.push({ id: user._id, email: user.email, error: error.message });
+    }
+  }
+
+  console.log(`Users: ${scanned} with a plaintext key, ${dryRun ? scanned : moved} ${dryRun ? 'to move' : 'moved'}, ${failed.length} failed`);
+
+  if (failed.length) {
+    console.log('Left unchanged for manual review:');
+    console.log(JSON.stringify({ failed }, null, 2));
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Legacy API key migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,147 @@
+// migrations/normalize-phone-numbers.js - Rewrite stored phone numbers into E.164
+//
+//   node Migrations/normalize-phone-numbers.js            apply
+//   node Migrations/normalize-phone-numbers.js --dry-run  report only
+//
+// Runs User.phoneNumber and IshareTransfer.recipientPhoneNumber through the shared
+// Msisdn parser. Numbers that cannot be parsed, and users whose canonical number already
+// belongs to another account, are listed and left unchanged for manual review. Writes go
+// to the raw collections because the schema setter would normalize the filter as well.
+// Safe to run more than once.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const ConnectDB = require('../Connection/connection');
+const { User, IshareTransfer } = require('../Schema/Schema');
+const msisdn = require('../Services/Msisdn');
+
+const BATCH_SIZE = 500;
+const CANONICAL = /^\+233\d{9}$/;
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateUsers = async () => {
+  const users = await User.collection.find({}, { projection: { phoneNumber: 1, email: 1 } }).toArray();
+  const byCanonical = new Map();
+  const invalid = [];
+
+  for (const user of users) {
+    const phone = msisdn.check(user.phoneNumber);
+
+    if (!phone.valid) {
+      invalid.push({ id: user._id, email: user.email, phoneNumber: user.phoneNumber, reason: phone.reason });
+      continue;
+    }
+
+    if (!byCanonical.has(phone.e164)) {
+      byCanonical.set(phone.e164, []);
+    }
+
+    byCanonical.get(phone.e164).push(user);
+  }
+
+  const updates = [];
+  const conflicts = [];
+
+  for (const [canonical, owners] of byCanonical) {
+    // Two accounts on one number - the unique index would reject the rewrite
+    if (owners.length > 1) {
+      conflicts.push({ canonical, users: owners.map(user => ({ id: user._id, email: user.email, phoneNumber: user.phoneNumber })) });
+      continue;
+    }
+
+    const [user] = owners;
+
+    if (user.phoneNumber !== canonical) {
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id, phoneNumber: user.phoneNumber },
+          update: { $set: { phoneNumber: canonical } }
+        }
+      });
+    }
+  }
+
+  if (!dryRun && updates.length) {
+    await User.collection.bulkWrite(updates, { ordered: false });
+  }
+
+  return { scanned: users.length, rewritten: updates.length, invalid, conflicts };
+};
+
+const migrateTransfers = async () => {
+  const cursor = IshareTransfer.collection.find(
+    { recipientPhoneNumber: { $not: CANONICAL } },
+    { projection: { recipientPhoneNumber: 1, externalTransactionId: 1 } }
+  );
+
+  const invalid = [];
+  let scanned = 0;
+  let rewritten = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (!dryRun && batch.length) {
+      await IshareTransfer.collection.bulkWrite(batch, { ordered: false });
+    }
+
+    rewritten += batch.length;
+    batch = [];
+  };
+
+  for await (const transfer of cursor) {
+    scanned += 1;
+    const phone = msisdn.check(transfer.recipientPhoneNumber);
+
+    if (!phone.valid) {
+      invalid.push({
+        id: transfer._id,
+        transactionId: transfer.externalTransactionId,
+        recipientPhoneNumber: transfer.recipientPhoneNumber,
+        reason: phone.reason
+      });
+      continue;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { _id: transfer._id, recipientPhoneNumber: transfer.recipientPhoneNumber },
+        update: { $set: { recipientPhoneNumber: phone.e164 } }
+      }
+    });
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return { scanned, rewritten, invalid };
+};
+
+const run = async () => {
+  await ConnectDB();
+  console.log(`📞 Normalizing phone numbers${dryRun ? ' (dry run - nothing is written)' : ''}`);
+
+  const users = await migrateUsers();
+  console.log(`Users: ${users.scanned} scanned, ${users.rewritten} ${dryRun ? 'to rewrite' : 'rewritten'}, ${users.invalid.length} invalid, ${users.conflicts.length} conflicts`);
+
+  const transfers = await migrateTransfers();
+  console.log(`Transfers: ${transfers.scanned} not canonical, ${transfers.rewritten} ${dryRun ? 'to rewrite' : 'rewritten'}, ${transfers.invalid.length} invalid`);
+
+  if (users.invalid.length || users.conflicts.length || transfers.invalid.length) {
+    console.log('Left unchanged for manual review:');
+    console.log(JSON.stringify({
+      invalidUsers: users.invalid,
+      conflictingUsers: users.conflicts,
+      invalidTransfers: transfers.invalid
+    }, null, 2));
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Phone number migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
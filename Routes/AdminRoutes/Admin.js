@@ -1,10 +1,39 @@
 const express = require('express');
-const { User, IshareLoad, Transaction } = require('../../Schema/Schema');
+const {
+  User,
+  IshareLoad,
+  IshareTransfer,
+  Transaction,
+  JournalEntry,
+  ReconciliationRun,
+  ProviderStatement,
+  ProviderCall,
+  TransferJob
+} = require('../../Schema/Schema');
 const {
   authenticate,
   adminOnly,
-  validateObjectId
+  validateObjectId,
+  idempotency,
+  markReserved,
+  sendProviderError
 } = require('../../MiddleWare/Middle');
+const walletService = require('../../Services/Wallet');
+const ledgerService = require('../../Services/Ledger');
+const reconciliationService = require('../../Services/Reconciliation');
+const transferService = require('../../Services/Transfer');
+const transferResolver = require('../../Services/TransferResolver');
+const statementService = require('../../Services/Statement');
+const dealerFloatService = require('../../Services/DealerFloat');
+const dealerStockService = require('../../Services/DealerStock');
+const providerRouter = require('../../Services/ProviderRouter');
+const resilienceService = require('../../Services/Resilience');
+const providerCallJournal = require('../../Services/ProviderCallJournal');
+const providerCredentials = require('../../Services/ProviderCredentials');
+const transferQueue = require('../../Services/TransferQueue');
+const providerThrottle = require('../../Services/ProviderThrottle');
+const msisdn = require('../../Services/Msisdn');
+const apiKeyService = require('../../Services/ApiKeys');
 
 const router = express.Router();
 
@@ -72,6 +101,7 @@ router.get('/users/:id', authenticate, adminOnly, validateObjectId('id'), async
     res.json({
       success: true,
       user,
+      wallet: walletService.summary(user),
       recentLoads: loads,
       recentUsage: usage
     });
@@ -143,10 +173,59 @@ router.delete('/users/:id', authenticate, adminOnly, validateObjectId('id'), asy
   }
 });
 
+// List a user's API keys
+router.get('/users/:id/api-keys', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      apiKeys: await apiKeyService.list(user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke one of a user's API keys
+router.delete('/users/:id/api-keys/:keyId', authenticate, adminOnly, validateObjectId('id'), validateObjectId('keyId'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id, req.params.keyId, req.user._id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== ISHARE CREDIT MANAGEMENT ====================
 
 // Credit ISHARE to User
-router.post('/credit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/credit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { userEmail, amountMB, reason } = req.body;
 
@@ -177,35 +256,16 @@ router.post('/credit-ishare', authenticate, adminOnly, async (req, res) => {
       });
     }
 
-    // Create load record
-    const ishareLoad = new IshareLoad({
-      user: user._id,
+    // Load record, balance, transaction and journal entry are written together
+    const { load: ishareLoad, user: updatedUser } = await walletService.credit({
+      userId: user._id,
       amountMB,
-      loadedBy: req.user._id,
-      reason: reason || 'Admin Credit'
-    });
-
-    await ishareLoad.save();
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: user._id,
-      type: 'admin_load',
-      amount: amountMB,
-      method: 'web',
-      ishareLoad: ishareLoad._id,
+      reason: reason || 'Admin Credit',
       performedBy: req.user._id,
       description: `Admin credited ${amountMB}MB - ${reason || 'No reason provided'}`
     });
 
-    await transaction.save();
-
-    // Update user balance
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { $inc: { ishareBalance: amountMB } },
-      { new: true }
-    ).select('-password');
+    markReserved(res);
 
     res.status(201).json({
       success: true,
@@ -231,7 +291,7 @@ router.post('/credit-ishare', authenticate, adminOnly, async (req, res) => {
 });
 
 // Bulk Credit ISHARE to Multiple Users
-router.post('/bulk-credit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/bulk-credit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { credits } = req.body; // Array of { userEmail, amountMB, reason }
 
@@ -271,35 +331,15 @@ router.post('/bulk-credit-ishare', authenticate, adminOnly, async (req, res) =>
           continue;
         }
 
-        // Create load record
-        const ishareLoad = new IshareLoad({
-          user: user._id,
+        const { user: updatedUser } = await walletService.credit({
+          userId: user._id,
           amountMB,
-          loadedBy: req.user._id,
-          reason: reason || 'Bulk Admin Credit'
-        });
-
-        await ishareLoad.save();
-
-        // Create transaction
-        const transaction = new Transaction({
-          user: user._id,
-          type: 'admin_load',
-          amount: amountMB,
-          method: 'web',
-          ishareLoad: ishareLoad._id,
+          reason: reason || 'Bulk Admin Credit',
           performedBy: req.user._id,
           description: `Bulk admin credit ${amountMB}MB - ${reason || 'No reason provided'}`
         });
 
-        await transaction.save();
-
-        // Update user balance
-        const updatedUser = await User.findByIdAndUpdate(
-          user._id,
-          { $inc: { ishareBalance: amountMB } },
-          { new: true }
-        );
+        markReserved(res);
 
         results.push({
           userEmail,
@@ -332,7 +372,7 @@ router.post('/bulk-credit-ishare', authenticate, adminOnly, async (req, res) =>
 });
 
 // Debit ISHARE from User (Reduce balance)
-router.post('/debit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/debit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { userEmail, amountMB, reason } = req.body;
 
@@ -363,33 +403,27 @@ router.post('/debit-ishare', authenticate, adminOnly, async (req, res) => {
       });
     }
 
-    if (user.ishareBalance < amountMB) {
+    // Recorded as an admin debit (not data usage) so reports keep the two apart
+    const debit = await walletService.debit({
+      userId: user._id,
+      amountMB,
+      type: 'admin_debit',
+      performedBy: req.user._id,
+      description: `Admin debit ${amountMB}MB - ${reason || 'No reason provided'}`
+    });
+
+    if (!debit) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient balance',
-        available: user.ishareBalance,
+        available: user.availableBalance,
+        held: user.heldBalance,
         requested: amountMB
       });
     }
 
-    // Create transaction
-    const transaction = new Transaction({
-      user: user._id,
-      type: 'data_usage',
-      amount: amountMB,
-      method: 'web',
-      performedBy: req.user._id,
-      description: `Admin debit ${amountMB}MB - ${reason || 'No reason provided'}`
-    });
-
-    await transaction.save();
-
-    // Update user balance
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { $inc: { ishareBalance: -amountMB } },
-      { new: true }
-    ).select('-password');
+    markReserved(res);
+    const updatedUser = debit.user;
 
     res.json({
       success: true,
@@ -401,6 +435,7 @@ router.post('/debit-ishare', authenticate, adminOnly, async (req, res) => {
         reason: reason || 'Admin Debit',
         previousBalance: updatedUser.ishareBalance + amountMB,
         newBalance: updatedUser.ishareBalance,
+        availableBalance: updatedUser.availableBalance,
         debitedBy: req.user.name,
         debitDate: new Date()
       }
@@ -424,7 +459,7 @@ router.get('/transactions', authenticate, adminOnly, async (req, res) => {
     const type = req.query.type; // Filter by transaction type
 
     const filter = {};
-    if (type && ['admin_load', 'data_usage'].includes(type)) {
+    if (type && ['admin_load', 'admin_debit', 'data_usage', 'transfer_sent', 'transfer_reversed', 'refund', 'reconciliation_adjustment'].includes(type)) {
       filter.type = type;
     }
 
@@ -535,9 +570,10 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
       { $group: { _id: null, total: { $sum: "$amountMB" } } }
     ]);
 
+    // Usage rows are negative; older rows were stored positive, so sum the magnitude
     const totalDataUsed = await Transaction.aggregate([
       { $match: { type: 'data_usage' } },
-      { $group: { _id: null, total: { $sum: "$amount" } } }
+      { $group: { _id: null, total: { $sum: { $abs: "$amount" } } } }
     ]);
 
     // Recent activity
@@ -553,6 +589,7 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
         $group: {
           _id: null,
           totalBalance: { $sum: "$ishareBalance" },
+          totalHeld: { $sum: "$heldBalance" },
           avgBalance: { $avg: "$ishareBalance" },
           maxBalance: { $max: "$ishareBalance" },
           minBalance: { $min: "$ishareBalance" }
@@ -577,6 +614,7 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
         },
         balances: balanceStats[0] || {
           totalBalance: 0,
+          totalHeld: 0,
           avgBalance: 0,
           maxBalance: 0,
           minBalance: 0
@@ -592,52 +630,20 @@ router.get('/dashboard', authenticate, adminOnly, async (req, res) => {
   }
 });
 
-// Export Data (CSV format)
-router.get('/export/:type', authenticate, adminOnly, async (req, res) => {
-  try {
-    const { type } = req.params;
-    
-    if (!['users', 'transactions', 'loads'].includes(type)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid export type. Use: users, transactions, or loads'
-      });
-    }
-
-    let data = [];
-    let filename = '';
+// ==================== RECONCILIATION ====================
 
-    switch (type) {
-      case 'users':
-        data = await User.find().select('-password').lean();
-        filename = `users_export_${new Date().toISOString().split('T')[0]}.json`;
-        break;
-      
-      case 'transactions':
-        data = await Transaction.find()
-          .populate('user', 'name email')
-          .populate('performedBy', 'name email')
-          .lean();
-        filename = `transactions_export_${new Date().toISOString().split('T')[0]}.json`;
-        break;
-      
-      case 'loads':
-        data = await IshareLoad.find()
-          .populate('user', 'name email')
-          .populate('loadedBy', 'name email')
-          .lean();
-        filename = `loads_export_${new Date().toISOString().split('T')[0]}.json`;
-        break;
-    }
+// Latest reconciliation run
+router.get('/reconciliation', authenticate, adminOnly, async (req, res) => {
+  try {
+    const latestRun = await ReconciliationRun.findOne()
+      .sort({ createdAt: -1 })
+      .populate('results.user', 'name email')
+      .populate('triggeredBy', 'name email');
 
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
     res.json({
       success: true,
-      exportDate: new Date().toISOString(),
-      type,
-      count: data.length,
-      data
+      latestRun,
+      running: reconciliationService.running
     });
   } catch (error) {
     res.status(500).json({ 
@@ -647,194 +653,1574 @@ router.get('/export/:type', authenticate, adminOnly, async (req, res) => {
   }
 });
 
-router.get('/admin/test-provider-connectivity', authenticate, adminOnly, async (req, res) => {
+// Run reconciliation now
+router.post('/reconciliation/run', authenticate, adminOnly, async (req, res) => {
   try {
-    console.log('=== Admin Connectivity Test Started ===');
-    console.log('Admin User:', req.user.email);
-    
-    const iShareService = require('../../Services/Ishare');
-    const testResult = await iShareService.testConnectivity();
+    if (reconciliationService.running) {
+      return res.status(409).json({
+        success: false,
+        error: 'A reconciliation run is already in progress'
+      });
+    }
 
-    res.json({
-      success: testResult.connectivity,
-      testResult,
-      timestamp: new Date().toISOString(),
-      testedBy: req.user.email
+    const run = await reconciliationService.run({
+      trigger: 'manual',
+      triggeredBy: req.user._id
     });
 
+    res.status(201).json({
+      success: run.status === 'completed',
+      run
+    });
   } catch (error) {
-    console.error('Connectivity test route error:', error);
-    res.status(500).json({
+    res.status(500).json({ 
       success: false,
-      error: error.message,
-      details: error.stack,
-      timestamp: new Date().toISOString(),
-      testedBy: req.user.email
+      error: error.message 
     });
   }
 });
 
-// Debug transfer with detailed logging (Admin only)
-router.post('/admin/debug-transfer', authenticate, adminOnly, async (req, res) => {
+// Reconciliation run history (results omitted)
+router.get('/reconciliation/runs', authenticate, adminOnly, async (req, res) => {
   try {
-    const { phoneNumber, amountMB = 50 } = req.body;
-
-    if (!phoneNumber) {
-      return res.status(400).json({ error: 'Phone number is required for debug transfer' });
-    }
-
-    const iShareService = require('../../Services/Ishare');
-    const transactionId = iShareService.generateTransactionId('DEBUG');
-
-    console.log('=== DEBUG TRANSFER START ===');
-    console.log('Admin User:', req.user.email);
-    console.log('Target Phone:', phoneNumber);
-    console.log('Amount:', amountMB);
-    console.log('Transaction ID:', transactionId);
-    console.log('Timestamp:', new Date().toISOString());
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
 
-    // Test the transfer without saving to database
-    const result = await iShareService.sendTransfer(phoneNumber, amountMB, transactionId);
+    const runs = await ReconciliationRun.find()
+      .select('-results')
+      .populate('triggeredBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
 
-    console.log('=== DEBUG TRANSFER RESULT ===');
-    console.log('Result:', JSON.stringify(result, null, 2));
+    const totalRuns = await ReconciliationRun.countDocuments();
 
     res.json({
       success: true,
-      debugResult: result,
-      testParameters: {
-        phoneNumber,
-        amountMB,
-        transactionId,
-        timestamp: new Date().toISOString(),
-        testedBy: req.user.email
-      },
-      interpretation: {
-        isSuccessful: result.success,
-        responseCode: result.responseCode,
-        errorMessage: result.success ? null : result.message,
-        recommendations: result.success ? 
-          ['Transfer should work normally'] : 
-          [
-            'Check error code: ' + result.responseCode,
-            'Error message: ' + result.message,
-            'Review phone number format',
-            'Check provider balance',
-            'Verify credentials'
-          ]
+      runs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalRuns / limit),
+        totalRuns,
+        runsPerPage: limit
       }
     });
-
   } catch (error) {
-    console.error('=== DEBUG TRANSFER ERROR ===');
-    console.error('Error:', error.message);
-    console.error('Stack:', error.stack);
-
-    res.json({
+    res.status(500).json({ 
       success: false,
-      error: error.message,
-      errorDetails: {
-        name: error.constructor.name,
-        code: error.code,
-        stack: error.stack
-      },
-      testParameters: {
-        phoneNumber: req.body.phoneNumber,
-        amountMB: req.body.amountMB || 50,
-        timestamp: new Date().toISOString(),
-        testedBy: req.user.email
-      },
-      recommendations: [
-        'Check network connectivity',
-        'Verify provider endpoint is accessible',
-        'Check if credentials are correct',
-        'Review phone number format'
-      ]
+      error: error.message 
     });
   }
 });
 
-// Test phone number formatting (Admin only)
-router.post('/admin/test-phone-format', authenticate, adminOnly, async (req, res) => {
+// Live drift report for one user
+router.get('/reconciliation/users/:id', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
   try {
-    const { phoneNumber } = req.body;
+    const user = await User.findById(req.params.id).select('email name ishareBalance heldBalance');
 
-    if (!phoneNumber) {
-      return res.status(400).json({ error: 'Phone number is required' });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
     }
 
-    const iShareService = require('../../Services/Ishare');
-    
-    console.log('=== PHONE FORMAT TEST ===');
-    console.log('Admin User:', req.user.email);
-    console.log('Input:', phoneNumber);
-
-    const formatted = iShareService.formatMsisdn(phoneNumber);
-
-    console.log('Formatted:', formatted);
+    const report = await reconciliationService.reconcileUser(user);
 
     res.json({
       success: true,
-      input: phoneNumber,
-      formatted: formatted,
-      inputType: typeof phoneNumber,
-      inputLength: String(phoneNumber).length,
-      formattedLength: formatted.length,
-      analysis: {
-        isValid: formatted.length === 12,
-        startsWithCountryCode: formatted.startsWith('233'),
-        mobilePrefix: formatted.substring(0, 5),
-        recommendation: formatted.length === 12 ? 'Phone number formatted correctly' : 'Phone number format issue'
-      },
-      timestamp: new Date().toISOString(),
-      testedBy: req.user.email
+      report
     });
-
   } catch (error) {
-    console.error('Phone format test error:', error);
-    res.json({
+    res.status(500).json({ 
       success: false,
-      input: req.body.phoneNumber,
-      error: error.message,
-      analysis: {
-        isValid: false,
-        reason: error.message,
-        recommendation: 'Fix phone number format according to error message'
-      },
-      timestamp: new Date().toISOString(),
-      testedBy: req.user.email
+      error: error.message 
     });
   }
 });
 
-// Test provider credentials (Admin only)
-router.get('/admin/test-provider-credentials', authenticate, adminOnly, async (req, res) => {
+// Post a correcting adjustment for a drifted wallet
+router.post('/reconciliation/users/:id/adjust', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
   try {
-    console.log('=== Provider Credentials Test ===');
-    console.log('Admin User:', req.user.email);
-    
-    const iShareService = require('../../Services/Ishare');
-    
-    // Test balance check to verify credentials
-    const balanceResult = await iShareService.checkBalance();
-    
-    res.json({
-      success: balanceResult.success,
-      credentialsValid: balanceResult.success,
-      balanceCheck: balanceResult,
-      providerInfo: {
-        endpoint: process.env.ISHARE_ENDPOINT || 'http://41.215.168.146:443/FlexiShareBundles.asmx',
-        username: process.env.ISHARE_USERNAME || 'NetwiseSolutions',
-        dealerMsisdn: process.env.ISHARE_DEALER_MSISDN || '233270241113'
-      },
-      analysis: {
-        canConnect: balanceResult.responseCode !== null,
-        authenticationWorking: balanceResult.responseCode === '200',
-        recommendation: balanceResult.success ? 
-          'Credentials are working correctly' : 
-          `Check credentials. Error: ${balanceResult.message}`
-      },
-      timestamp: new Date().toISOString(),
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'An audit reason is required for reconciliation adjustments'
+      });
+    }
+
+    const result = await reconciliationService.adjust(req.params.id, {
+      reason: String(reason).trim(),
+      performedBy: req.user._id
+    });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (result.status === 'no_drift') {
+      return res.status(400).json({
+        success: false,
+        error: 'Wallet has no drift to adjust',
+        report: result.report
+      });
+    }
+
+    if (result.status === 'insufficient_balance') {
+      return res.status(400).json({
+        success: false,
+        error: 'Adjustment would take the available balance below zero',
+        report: result.report
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Wallet adjusted by ${-result.report.drift}MB`,
+      adjustment: {
+        transaction: result.transaction,
+        previousBalance: result.report.walletBalance,
+        newBalance: result.user.ishareBalance,
+        reason: String(reason).trim(),
+        adjustedBy: req.user.name
+      },
+      report: result.report
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== TRANSFER RESOLUTION ====================
+
+// Pending and unknown-outcome transfers still holding balance (?escalated=true for escalated only)
+router.get('/transfers/unresolved', authenticate, adminOnly, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: { $in: ['pending', 'unknown'] } };
+
+    if (req.query.escalated === 'true') {
+      filter.escalatedAt = { $ne: null };
+    }
+
+    const transfers = await IshareTransfer.find(filter)
+      .populate('sender', 'name email')
+      .sort({ escalatedAt: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalTransfers = await IshareTransfer.countDocuments(filter);
+
+    res.json({
+      success: true,
+      transfers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalTransfers / limit),
+        totalTransfers,
+        transfersPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Ask the provider about one transfer now instead of waiting for the worker
+router.post('/transfers/:id/check', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const transfer = await IshareTransfer.findOne({
+      _id: req.params.id,
+      status: { $in: ['pending', 'unknown'] }
+    });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending or unknown transfer with this id'
+      });
+    }
+
+    const result = await transferResolver.resolve(transfer);
+    const updated = await IshareTransfer.findById(transfer._id);
+
+    res.json({
+      success: true,
+      outcome: result.outcome,
+      transfer: updated
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Settle a transfer by hand once the provider has confirmed its outcome out of band
+router.post('/transfers/:id/resolve', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const { outcome, reason, systemTransactionId, vendorTransactionId } = req.body;
+
+    if (!['completed', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: 'outcome must be "completed" or "failed"'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'An audit reason is required to resolve a transfer manually'
+      });
+    }
+
+    const transfer = await IshareTransfer.findOne({
+      _id: req.params.id,
+      status: { $in: ['pending', 'unknown'] }
+    });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending or unknown transfer with this id'
+      });
+    }
+
+    const auditReason = `${String(reason).trim()} (resolved by ${req.user.email})`;
+    const resolution = { reason: auditReason, performedBy: req.user._id };
+
+    const result = outcome === 'completed'
+      ? await transferService.complete(transfer, { systemTransactionId, vendorTransactionId }, transfer.method, resolution)
+      : await transferService.release(transfer, auditReason, 'transfer_failed', transfer.method, null, resolution);
+
+    if (!result.wallet) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transfer was settled by another process',
+        transfer: result.transfer
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Transfer marked ${outcome}`,
+      transfer: result.transfer,
+      wallet: result.wallet,
+      reason: auditReason
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== TRANSFER QUEUE ====================
+
+// Queue depth, worker state and provider throughput limits
+router.get('/transfer-queue', authenticate, adminOnly, async (req, res) => {
+  try {
+    const [queue, throughput] = await Promise.all([
+      transferQueue.stats(),
+      providerThrottle.config()
+    ]);
+
+    res.json({
+      success: true,
+      queue,
+      throughput: {
+        config: throughput,
+        providers: providerThrottle.describe()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Jobs by status (default: dead jobs that need attention)
+router.get('/transfer-queue/jobs', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { status = 'dead' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const jobs = await TransferJob.find({ status })
+      .populate('transfer', 'externalTransactionId status amountMB recipientPhoneNumber sender')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalJobs = await TransferJob.countDocuments({ status });
+
+    res.json({
+      success: true,
+      jobs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalJobs / limit),
+        totalJobs,
+        jobsPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Put a dead job back on the queue (its transfer must still be pending)
+router.post('/transfer-queue/jobs/:id/retry', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const job = await TransferJob.findOne({ _id: req.params.id, status: 'dead' });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No dead job with this id'
+      });
+    }
+
+    const transfer = await IshareTransfer.findOneAndUpdate(
+      { _id: job.transfer, status: 'pending' },
+      { queued: true },
+      { new: true }
+    );
+
+    if (!transfer) {
+      return res.status(409).json({
+        success: false,
+        error: 'Transfer is no longer pending - nothing to deliver'
+      });
+    }
+
+    // Attempts are kept so the next delivery checks with the provider before sending
+    job.status = 'queued';
+    job.availableAt = new Date();
+    job.finishedAt = undefined;
+    job.lastError = `Requeued by ${req.user.email}`;
+    await job.save();
+
+    transferQueue.kick();
+
+    res.json({
+      success: true,
+      message: 'Job requeued',
+      job
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Concurrency and per-second cap toward each provider's dealer endpoint
+router.put('/transfer-queue/throughput', authenticate, adminOnly, async (req, res) => {
+  try {
+    const changes = {};
+
+    for (const field of ['concurrency', 'ratePerSecond']) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      const value = Number(req.body[field]);
+
+      if (!Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive number`
+        });
+      }
+
+      changes[field] = field === 'concurrency' ? Math.floor(value) || 1 : value;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide at least one of: concurrency, ratePerSecond'
+      });
+    }
+
+    const config = await providerThrottle.updateConfig(changes, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Provider throughput limits updated',
+      config,
+      updatedBy: req.user.email
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== TRANSFER REVERSALS ====================
+
+// Shared handler for reverse and refund - both credit the sender back and link to the original
+const reverseTransfer = (type) => async (req, res) => {
+  try {
+    const { reason, amountMB } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'An audit reason is required'
+      });
+    }
+
+    // Reversals always give back the full transfer; refunds may be partial
+    const amount = type === 'refund' && amountMB !== undefined ? parseInt(amountMB) : undefined;
+
+    if (amount !== undefined && (isNaN(amount) || amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'amountMB must be a positive number'
+      });
+    }
+
+    const result = await transferService.reverse(req.params.id, {
+      type,
+      amountMB: amount,
+      reason: String(reason).trim(),
+      performedBy: req.user._id
+    });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    if (result.status === 'not_eligible') {
+      return res.status(400).json({
+        success: false,
+        error: type === 'refund'
+          ? `Only failed transfers can be refunded (transfer is ${result.transfer.status})`
+          : `Only completed transfers can be reversed (transfer is ${result.transfer.status})`
+      });
+    }
+
+    if (result.status === 'invalid_amount') {
+      return res.status(400).json({
+        success: false,
+        error: `Refund cannot exceed the transfer amount of ${result.transfer.amountMB}MB`
+      });
+    }
+
+    if (result.status === 'already_reversed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Transfer has already been reversed or refunded',
+        reversal: result.transfer.reversal
+      });
+    }
+
+    markReserved(res);
+
+    res.status(201).json({
+      success: true,
+      message: type === 'refund'
+        ? `Refunded ${result.transaction.amount}MB to the sender`
+        : `Reversed ${result.transaction.amount}MB back to the sender`,
+      transfer: result.transfer,
+      transaction: result.transaction,
+      original: result.original,
+      wallet: result.wallet,
+      performedBy: req.user.name
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+};
+
+// Reverse a completed transfer - the full amount goes back to the sender's wallet
+router.post('/transfers/:id/reverse', authenticate, adminOnly, validateObjectId('id'), idempotency, reverseTransfer('transfer_reversed'));
+
+// Refund a failed transfer that still cost the customer
+router.post('/transfers/:id/refund', authenticate, adminOnly, validateObjectId('id'), idempotency, reverseTransfer('refund'));
+
+// Original transfer, its transactions (including any reversal or refund) and journal entries
+router.get('/transfers/:id/chain', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const chain = await transferService.chain(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...chain
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PROVIDER STATEMENTS ====================
+
+// Import a provider settlement CSV - send it as text/csv (filename in ?filename=)
+// or as JSON { csv, filename, periodStart, periodEnd }
+router.post('/statements', authenticate, adminOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const content = isText ? req.body : req.body.csv;
+    const options = isText ? req.query : req.body;
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Statement CSV is required'
+      });
+    }
+
+    const periodStart = options.periodStart ? new Date(options.periodStart) : undefined;
+    const periodEnd = options.periodEnd ? statementService.endOf(String(options.periodEnd)) : undefined;
+
+    if ((periodStart && isNaN(periodStart.getTime())) || (periodEnd && isNaN(periodEnd.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'periodStart and periodEnd must be valid dates'
+      });
+    }
+
+    const result = await statementService.import({
+      content,
+      filename: options.filename || '',
+      importedBy: req.user._id,
+      periodStart,
+      periodEnd
+    });
+
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(result.statement.importCount > 1 ? 200 : 201).json({
+      success: true,
+      message: result.statement.importCount > 1
+        ? `Statement already imported - match results refreshed (${result.newLines} new lines)`
+        : `Imported ${result.statement.lineCount} statement lines`,
+      statement: result.statement,
+      report: result.report
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Imported statements, newest first
+router.get('/statements', authenticate, adminOnly, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const statements = await ProviderStatement.find()
+      .populate('importedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalStatements = await ProviderStatement.countDocuments();
+
+    res.json({
+      success: true,
+      statements,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalStatements / limit),
+        totalStatements,
+        statementsPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Settlement report for one statement (?format=csv for the spreadsheet)
+router.get('/statements/:id', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const statement = await ProviderStatement.findById(req.params.id)
+      .populate('importedBy', 'name email');
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Statement not found'
+      });
+    }
+
+    const report = await statementService.report(statement);
+
+    if (req.query.format === 'csv') {
+      const filename = `settlement_report_${statement._id}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      return res.send(statementService.reportToCsv(report));
+    }
+
+    res.json({
+      success: true,
+      statement,
+      report
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PROVIDER ROUTING ====================
+
+// Registered provider adapters and the routing configuration
+router.get('/providers', authenticate, adminOnly, async (req, res) => {
+  try {
+    const routing = await providerRouter.config();
+
+    res.json({
+      success: true,
+      providers: providerRouter.list().map(adapter => adapter.describe()),
+      networks: providerRouter.networks,
+      routing
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Which provider a number would be routed to, and why
+router.get('/providers/resolve', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { phoneNumber } = req.query;
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'phoneNumber is required'
+      });
+    }
+
+    const phone = msisdn.check(phoneNumber);
+
+    if (!phone.valid) {
+      return res.status(400).json({
+        success: false,
+        error: phone.message,
+        reason: phone.reason
+      });
+    }
+
+    const route = await providerRouter.resolve(phone.e164);
+
+    res.json({
+      success: true,
+      phoneNumber: phone.e164,
+      network: route.network,
+      provider: route.adapter ? route.adapter.describe() : null,
+      reason: route.reason
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Replace prefix rules and/or network overrides
+router.put('/providers/routing', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { rules, networks } = req.body;
+
+    if (rules === undefined && networks === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide rules and/or networks'
+      });
+    }
+
+    if (rules !== undefined) {
+      if (!Array.isArray(rules)) {
+        return res.status(400).json({
+          success: false,
+          error: 'rules must be an array of { prefix, provider }'
+        });
+      }
+
+      for (const rule of rules) {
+        if (!rule || !/^\d{2,12}$/.test(String(rule.prefix)) || !providerRouter.get(rule.provider)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid rule ${JSON.stringify(rule)} - prefix must be digits and provider a registered adapter`
+          });
+        }
+      }
+    }
+
+    if (networks !== undefined) {
+      if (!networks || typeof networks !== 'object' || Array.isArray(networks)) {
+        return res.status(400).json({
+          success: false,
+          error: 'networks must map a network to a provider id'
+        });
+      }
+
+      for (const [network, providerId] of Object.entries(networks)) {
+        if (!providerRouter.networks.includes(network) || !providerRouter.get(providerId)) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid network override ${network} -> ${providerId}`
+          });
+        }
+      }
+    }
+
+    const routing = await providerRouter.updateConfig({
+      rules: rules && rules.map(rule => ({ prefix: String(rule.prefix), provider: rule.provider })),
+      networks
+    }, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Provider routing updated',
+      routing,
+      updatedBy: req.user.email
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Circuit breaker state per provider
+router.get('/providers/circuits', authenticate, adminOnly, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      circuits: providerRouter.list().map(adapter => resilienceService.breakerFor(adapter.id).describe()),
+      retryPolicy: {
+        maxAttempts: resilienceService.maxAttempts,
+        retryDelayMs: resilienceService.retryDelayMs
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Close a provider's circuit by hand once it is known to be back
+router.post('/providers/:id/circuit/reset', authenticate, adminOnly, async (req, res) => {
+  try {
+    if (!providerRouter.get(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found'
+      });
+    }
+
+    const breaker = resilienceService.breakerFor(req.params.id);
+    breaker.reset();
+    console.log(`Circuit for ${req.params.id} reset by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      circuit: breaker.describe()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Health check for one provider adapter
+router.get('/providers/:id/health', authenticate, adminOnly, async (req, res) => {
+  try {
+    const adapter = providerRouter.get(req.params.id);
+
+    if (!adapter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider not found'
+      });
+    }
+
+    const health = await adapter.healthCheck();
+
+    res.status(health.healthy ? 200 : 503).json({
+      success: health.healthy,
+      provider: adapter.describe(),
+      health,
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PROVIDER CREDENTIALS ====================
+
+// Resolve :id to a registered adapter or answer 404
+const findProvider = (req, res) => {
+  const adapter = providerRouter.get(req.params.id);
+
+  if (!adapter) {
+    res.status(404).json({
+      success: false,
+      error: `Provider "${req.params.id}" is not registered`
+    });
+  }
+
+  return adapter;
+};
+
+// Credential versions for a provider (passwords are never returned)
+router.get('/providers/:id/credentials', authenticate, adminOnly, async (req, res) => {
+  try {
+    const adapter = findProvider(req, res);
+
+    if (!adapter) {
+      return;
+    }
+
+    const [current, versions] = await Promise.all([
+      providerCredentials.summary(adapter.id),
+      providerCredentials.list(adapter.id)
+    ]);
+
+    res.json({
+      success: true,
+      provider: adapter.id,
+      current,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Store a new credential version - it stays pending until tested and activated
+router.post('/providers/:id/credentials', authenticate, adminOnly, async (req, res) => {
+  try {
+    const adapter = findProvider(req, res);
+
+    if (!adapter) {
+      return;
+    }
+
+    const { endpoint, username, password, dealerMsisdn } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'password is required'
+      });
+    }
+
+    const credential = await providerCredentials.create(
+      adapter.id,
+      { endpoint, username, password, dealerMsisdn },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Credential version ${credential.version} created. Test it before activating.`,
+      credential
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Check a credential version against the live provider
+router.post('/providers/:id/credentials/:version/test', authenticate, adminOnly, async (req, res) => {
+  try {
+    const adapter = findProvider(req, res);
+
+    if (!adapter) {
+      return;
+    }
+
+    const tested = await providerCredentials.test(adapter, parseInt(req.params.version), req.user._id);
+
+    if (!tested) {
+      return res.status(404).json({
+        success: false,
+        error: 'Credential version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      healthy: tested.result.healthy,
+      message: tested.result.message,
+      responseCode: tested.result.responseCode,
+      credential: tested.credential
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Switch the provider to a tested credential version and retire the previous one
+router.post('/providers/:id/credentials/:version/activate', authenticate, adminOnly, async (req, res) => {
+  try {
+    const adapter = findProvider(req, res);
+
+    if (!adapter) {
+      return;
+    }
+
+    const outcome = await providerCredentials.activate(adapter.id, parseInt(req.params.version), req.user._id);
+
+    if (outcome.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Credential version not found'
+      });
+    }
+
+    if (outcome.status === 'untested') {
+      return res.status(409).json({
+        success: false,
+        error: 'Credential version has not passed a test - run the test before activating',
+        credential: outcome.credential
+      });
+    }
+
+    res.json({
+      success: true,
+      message: outcome.status === 'already_active'
+        ? 'Credential version is already active'
+        : `Credential version ${outcome.credential.version} is now active`,
+      credential: outcome.credential,
+      activatedBy: req.user.email
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== PROVIDER CALLS ====================
+
+// Search the provider call journal
+router.get('/provider-calls', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { transactionId, transfer, provider, operation, responseCode, success, from, to } = req.query;
+
+    if (transfer && !/^[0-9a-fA-F]{24}$/.test(transfer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'transfer must be a transfer ID'
+      });
+    }
+
+    const result = await providerCallJournal.search({
+      transactionId,
+      transfer,
+      provider,
+      operation,
+      responseCode,
+      success: success === undefined ? undefined : success === 'true',
+      from,
+      to,
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// One provider call with its redacted request and response bodies
+router.get('/provider-calls/:id', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const call = await ProviderCall.findById(req.params.id)
+      .populate('ishareTransfer', 'externalTransactionId status amountMB recipientPhoneNumber');
+
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Provider call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      call
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== DEALER FLOAT ====================
+
+// Cached dealer balance, MB committed to in-flight transfers and the guard thresholds (?provider=id)
+router.get('/dealer-float', authenticate, adminOnly, async (req, res) => {
+  try {
+    const float = await dealerFloatService.status(req.query.provider || undefined);
+
+    res.json({
+      success: true,
+      float
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Re-read the dealer balance from the provider now (?provider=id)
+router.post('/dealer-float/refresh', authenticate, adminOnly, async (req, res) => {
+  try {
+    const providerId = req.query.provider || undefined;
+    await dealerFloatService.refresh(providerId);
+    const float = await dealerFloatService.status(providerId);
+
+    res.status(float.error ? 502 : 200).json({
+      success: !float.error,
+      float
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Update float thresholds
+router.put('/dealer-float/config', authenticate, adminOnly, async (req, res) => {
+  try {
+    const numericFields = ['minimumFloatMB', 'lowFloatAlertMB', 'refreshIntervalMinutes', 'maxCacheAgeMinutes', 'reorderLeadDays'];
+    const changes = {};
+
+    for (const field of numericFields) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      const value = Number(req.body[field]);
+
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a non-negative number`
+        });
+      }
+
+      changes[field] = value;
+    }
+
+    if (changes.refreshIntervalMinutes === 0 || changes.maxCacheAgeMinutes === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshIntervalMinutes and maxCacheAgeMinutes must be greater than 0'
+      });
+    }
+
+    if (req.body.enabled !== undefined) {
+      changes.enabled = req.body.enabled === true || req.body.enabled === 'true';
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: enabled, ${numericFields.join(', ')}`
+      });
+    }
+
+    const config = await dealerFloatService.updateConfig(changes, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Dealer float configuration updated',
+      config,
+      updatedBy: req.user.email
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Dealer balance snapshots and MB delivered per day over the last ?days (default 30, max 365)
+router.get('/dealer-float/history', authenticate, adminOnly, async (req, res) => {
+  try {
+    const providerId = req.query.provider || providerRouter.defaultProvider;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    if (days < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be at least 1'
+      });
+    }
+
+    const [snapshots, usage] = await Promise.all([
+      dealerStockService.history(providerId, { from: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }),
+      dealerStockService.dailyUsage(providerId, days)
+    ]);
+
+    res.json({
+      success: true,
+      provider: providerId,
+      days,
+      snapshots: snapshots.map(snapshot => ({
+        at: snapshot.createdAt,
+        balanceMB: snapshot.balanceMB,
+        outstandingMB: snapshot.outstandingMB,
+        expiresAt: snapshot.expiresAt,
+        rawExpireTime: snapshot.rawExpireTime
+      })),
+      usage
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// When the dealer stock runs out or expires at the current burn rate, and when to reorder (?provider=id)
+router.get('/dealer-float/forecast', authenticate, adminOnly, async (req, res) => {
+  try {
+    const status = await dealerFloatService.status(req.query.provider || undefined);
+    const forecast = await dealerStockService.forecast(status, status.config);
+
+    res.json({
+      success: true,
+      forecast,
+      checkedAt: status.checkedAt
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// ==================== LEDGER ====================
+
+// Trial balance - totals per ledger account
+router.get('/ledger/trial-balance', authenticate, adminOnly, async (req, res) => {
+  try {
+    const trialBalance = await ledgerService.trialBalance();
+
+    res.json({
+      success: true,
+      trialBalance,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Verify every wallet balance against the journal
+router.get('/ledger/verify', authenticate, adminOnly, async (req, res) => {
+  try {
+    const verification = await ledgerService.verifyWallets();
+
+    res.json({
+      success: true,
+      consistent: verification.mismatches.length === 0,
+      usersChecked: verification.usersChecked,
+      mismatches: verification.mismatches,
+      verifiedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Journal entries for one user's wallet
+router.get('/ledger/users/:id', authenticate, adminOnly, validateObjectId('id'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+    const account = ledgerService.walletAccount(req.params.id);
+
+    const user = await User.findById(req.params.id).select('name email ishareBalance heldBalance');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const entries = await JournalEntry.find({ 'lines.account': account })
+      .populate('postedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalEntries = await JournalEntry.countDocuments({ 'lines.account': account });
+    const journalBalance = await ledgerService.walletBalance(req.params.id);
+
+    res.json({
+      success: true,
+      account,
+      walletBalance: user.ishareBalance,
+      journalBalance,
+      inSync: journalBalance === user.ishareBalance,
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalEntries / limit),
+        totalEntries,
+        entriesPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Post opening balances for wallets created before the journal existed
+router.post('/ledger/opening-balances', authenticate, adminOnly, async (req, res) => {
+  try {
+    const posted = await ledgerService.postOpeningBalances(req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `Posted ${posted.length} opening balance entries`,
+      posted
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Export Data (CSV format)
+router.get('/export/:type', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { type } = req.params;
+    
+    if (!['users', 'transactions', 'loads'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export type. Use: users, transactions, or loads'
+      });
+    }
+
+    let data = [];
+    let filename = '';
+
+    switch (type) {
+      case 'users':
+        data = await User.find().select('-password').lean();
+        filename = `users_export_${new Date().toISOString().split('T')[0]}.json`;
+        break;
+      
+      case 'transactions':
+        data = await Transaction.find()
+          .populate('user', 'name email')
+          .populate('performedBy', 'name email')
+          .lean();
+        filename = `transactions_export_${new Date().toISOString().split('T')[0]}.json`;
+        break;
+      
+      case 'loads':
+        data = await IshareLoad.find()
+          .populate('user', 'name email')
+          .populate('loadedBy', 'name email')
+          .lean();
+        filename = `loads_export_${new Date().toISOString().split('T')[0]}.json`;
+        break;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    res.json({
+      success: true,
+      exportDate: new Date().toISOString(),
+      type,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+router.get('/admin/test-provider-connectivity', authenticate, adminOnly, async (req, res) => {
+  try {
+    console.log('=== Admin Connectivity Test Started ===');
+    console.log('Admin User:', req.user.email);
+    
+    const iShareService = require('../../Services/Ishare');
+    const testResult = await iShareService.testConnectivity();
+
+    res.json({
+      success: testResult.connectivity,
+      testResult,
+      timestamp: new Date().toISOString(),
+      testedBy: req.user.email
+    });
+
+  } catch (error) {
+    console.error('Connectivity test route error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.stack,
+      timestamp: new Date().toISOString(),
+      testedBy: req.user.email
+    });
+  }
+});
+
+// Debug transfer with detailed logging (Admin only)
+router.post('/admin/debug-transfer', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { phoneNumber, amountMB = 50 } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Phone number is required for debug transfer' });
+    }
+
+    const iShareService = require('../../Services/Ishare');
+    const transactionId = iShareService.generateTransactionId('DEBUG');
+
+    console.log('=== DEBUG TRANSFER START ===');
+    console.log('Admin User:', req.user.email);
+    console.log('Target Phone:', phoneNumber);
+    console.log('Amount:', amountMB);
+    console.log('Transaction ID:', transactionId);
+    console.log('Timestamp:', new Date().toISOString());
+
+    // Test the transfer without saving to database
+    const result = await iShareService.sendTransfer(phoneNumber, amountMB, transactionId);
+
+    console.log('=== DEBUG TRANSFER RESULT ===');
+    console.log('Result:', JSON.stringify(result, null, 2));
+
+    res.json({
+      success: true,
+      debugResult: result,
+      testParameters: {
+        phoneNumber,
+        amountMB,
+        transactionId,
+        timestamp: new Date().toISOString(),
+        testedBy: req.user.email
+      },
+      interpretation: {
+        isSuccessful: result.success,
+        responseCode: result.responseCode,
+        errorMessage: result.success ? null : result.message,
+        recommendations: result.success ? 
+          ['Transfer should work normally'] : 
+          [
+            'Check error code: ' + result.responseCode,
+            'Error message: ' + result.message,
+            'Review phone number format',
+            'Check provider balance',
+            'Verify credentials'
+          ]
+      }
+    });
+
+  } catch (error) {
+    console.error('=== DEBUG TRANSFER ERROR ===');
+    console.error('Error:', error.message);
+    console.error('Stack:', error.stack);
+
+    res.json({
+      success: false,
+      error: error.message,
+      errorDetails: {
+        name: error.constructor.name,
+        code: error.code,
+        stack: error.stack
+      },
+      testParameters: {
+        phoneNumber: req.body.phoneNumber,
+        amountMB: req.body.amountMB || 50,
+        timestamp: new Date().toISOString(),
+        testedBy: req.user.email
+      },
+      recommendations: [
+        'Check network connectivity',
+        'Verify provider endpoint is accessible',
+        'Check if credentials are correct',
+        'Review phone number format'
+      ]
+    });
+  }
+});
+
+// Test phone number parsing (Admin only) - shows the canonical form, network and what the provider is sent
+router.post('/admin/test-phone-format', authenticate, adminOnly, async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+    const phone = msisdn.check(phoneNumber);
+
+    res.json({
+      success: phone.valid,
+      input: phoneNumber,
+      ...(phone.valid
+        ? {
+          canonical: phone.e164,
+          national: phone.national,
+          providerFormat: phone.international,
+          prefix: phone.prefix,
+          network: phone.network
+        }
+        : {
+          error: phone.message,
+          reason: phone.reason
+        }),
+      timestamp: new Date().toISOString(),
+      testedBy: req.user.email
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Test provider credentials (Admin only)
+router.get('/admin/test-provider-credentials', authenticate, adminOnly, async (req, res) => {
+  try {
+    console.log('=== Provider Credentials Test ===');
+    console.log('Admin User:', req.user.email);
+    
+    const iShareService = require('../../Services/Ishare');
+    
+    // Test balance check to verify credentials
+    const balanceResult = await iShareService.checkBalance();
+    
+    res.json({
+      success: balanceResult.success,
+      credentialsValid: balanceResult.success,
+      balanceCheck: balanceResult,
+      providerInfo: await providerCredentials.summary(iShareService.id),
+      analysis: {
+        canConnect: balanceResult.responseCode !== null,
+        authenticationWorking: balanceResult.responseCode === '200',
+        recommendation: balanceResult.success ? 
+          'Credentials are working correctly' : 
+          `Check credentials. Error: ${balanceResult.message}`
+      },
+      timestamp: new Date().toISOString(),
       testedBy: req.user.email
     });
 
@@ -859,12 +2245,7 @@ router.get('/admin/test-provider-credentials', authenticate, adminOnly, async (r
 router.get('/admin/provider-config', authenticate, adminOnly, async (req, res) => {
   try {
     res.json({
-      configuration: {
-        endpoint: process.env.ISHARE_ENDPOINT || 'http://41.215.168.146:443/FlexiShareBundles.asmx',
-        username: process.env.ISHARE_USERNAME || 'NetwiseSolutions',
-        dealerMsisdn: process.env.ISHARE_DEALER_MSISDN || '233270241113',
-        passwordSet: !!(process.env.ISHARE_PASSWORD || 'f2fe6a63d960578490f3097d9447fcd0')
-      },
+      configuration: await providerCredentials.summary('ishare'),
       environment: {
         nodeEnv: process.env.NODE_ENV,
         mongoUri: process.env.MONGODB_URI ? 'Set (MongoDB Atlas)' : 'Not set',
@@ -917,9 +2298,7 @@ router.get('/admin/provider-balance', authenticate, adminOnly, async (req, res)
 
   } catch (error) {
     console.error('Provider Balance Check Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to check provider balance',
+    sendProviderError(res, error, {
       details: error.message,
       timestamp: new Date().toISOString(),
       checkedBy: req.user.email
@@ -1,12 +1,39 @@
 const express = require('express');
-const { User, IshareLoad, Transaction, IshareTransfer } = require('../../Schema/Schema');
+const {
+  User,
+  IshareLoad,
+  Transaction,
+  IshareTransfer,
+  TransferBatch,
+  WebhookEndpoint,
+  WebhookDelivery
+} = require('../../Schema/Schema');
 const {
   authenticateAPI,
-  apiRateLimit
+  apiRateLimit,
+  idempotency,
+  validateObjectId,
+  validateRequest,
+  markReserved,
+  sendProviderError
 } = require('../../MiddleWare/Middle');
+const walletService = require('../../Services/Wallet');
+const transferService = require('../../Services/Transfer');
+const providerRouter = require('../../Services/ProviderRouter');
+const resilienceService = require('../../Services/Resilience');
+const transferQueue = require('../../Services/TransferQueue');
+const { ProviderError } = require('../../Services/ProviderErrors');
+const msisdn = require('../../Services/Msisdn');
+const webhookService = require('../../Services/Webhooks');
+const apiKeyService = require('../../Services/ApiKeys');
+const transferBatchService = require('../../Services/TransferBatch');
+const openapi = require('./openapi');
 
 const router = express.Router();
 
+// Bodies and query strings must match the OpenAPI document before any route sees them
+router.use(validateRequest(openapi));
+
 // ==================== API INFO ROUTES ====================
 
 // API Status & Info
@@ -15,25 +42,36 @@ router.get('/status', (req, res) => {
     service: 'ISHARE API',
     version: '2.0.0',
     status: 'active',
-    endpoints: {
-      profile: 'GET /api/user/profile',
-      balance: 'GET /api/user/balance',
-      useData: 'POST /api/use-data',
-      transferSend: 'POST /api/transfer/send',
-      transfers: 'GET /api/transfers',
-      usageHistory: 'GET /api/usage-history',
-      stats: 'GET /api/stats',
-      regenerateKey: 'POST /api/user/regenerate-api-key'
-    },
+    // Listed from the OpenAPI document so this cannot go stale
+    endpoints: Object.entries(openapi.paths).flatMap(([path, item]) => Object.entries(item)
+      .map(([method, operation]) => `${method.toUpperCase()} ${req.baseUrl}${path} - ${operation.summary}`)),
+    documentation: `GET ${req.baseUrl}/openapi.json`,
     authentication: 'X-API-Key header required',
+    signing: {
+      headers: 'X-Ishare-Timestamp (unix seconds), X-Ishare-Nonce (16-128 of A-Za-z0-9_-, single use), X-Ishare-Signature',
+      signature: 'sha256=<hex HMAC-SHA256 under the key signing secret of METHOD\\npath?query\\nhex SHA-256 of body\\ntimestamp\\nnonce>',
+      maxSkewSeconds: apiKeyService.maxSkewSeconds,
+      note: 'Optional unless the key has requireSignature set'
+    },
+    scopes: {
+      read: 'profile, balance, history, transfer status, webhook delivery logs',
+      transfer: 'send transfers',
+      'use-data': 'record data usage',
+      admin: 'manage API keys and webhooks; system-wide stats for admin users'
+    },
     note: 'Simple API key authentication - no JWT tokens needed'
   });
 });
 
+// OpenAPI 3 document of this API
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi);
+});
+
 // ==================== USER ROUTES ====================
 
 // Get User Profile (API)
-router.get('/user/profile', authenticateAPI, (req, res) => {
+router.get('/user/profile', authenticateAPI('read'), (req, res) => {
   res.json({
     success: true,
     user: {
@@ -42,16 +80,14 @@ router.get('/user/profile', authenticateAPI, (req, res) => {
       name: req.user.name,
       phoneNumber: req.user.phoneNumber,
       role: req.user.role,
-      ishareBalance: req.user.ishareBalance,
-      balanceInGB: (req.user.ishareBalance / 1024).toFixed(2),
-      apiKey: req.user.apiKey,
+      ...walletService.summary(req.user),
       createdAt: req.user.createdAt
     }
   });
 });
 
 // Check User Balance (API)
-router.get('/user/balance', authenticateAPI, async (req, res) => {
+router.get('/user/balance', authenticateAPI('read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
     
@@ -64,8 +100,7 @@ router.get('/user/balance', authenticateAPI, async (req, res) => {
 
     res.json({
       success: true,
-      ishareBalance: user.ishareBalance,
-      balanceInGB: (user.ishareBalance / 1024).toFixed(2),
+      ...walletService.summary(user),
       user: {
         id: user._id,
         email: user.email,
@@ -81,33 +116,8 @@ router.get('/user/balance', authenticateAPI, async (req, res) => {
   }
 });
 
-// Regenerate API Key (API)
-router.post('/user/regenerate-api-key', authenticateAPI, async (req, res) => {
-  try {
-    const crypto = require('crypto');
-    const newApiKey = crypto.randomBytes(32).toString('hex');
-    
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { apiKey: newApiKey },
-      { new: true }
-    ).select('-password');
-
-    res.json({ 
-      success: true,
-      message: 'API key regenerated successfully',
-      apiKey: user.apiKey
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      success: false,
-      error: error.message 
-    });
-  }
-});
-
 // Get Usage History (API)
-router.get('/usage-history', authenticateAPI, async (req, res) => {
+router.get('/usage-history', authenticateAPI('read'), async (req, res) => {
   try {
     const { type = 'all' } = req.query; // 'data_usage', 'transfers', 'loads', or 'all'
     
@@ -149,81 +159,124 @@ router.get('/usage-history', authenticateAPI, async (req, res) => {
 
 // ==================== TRANSFER ROUTES ====================
 
-// Send ISHARE Transfer (API) - NO RECIPIENT CHECK
-router.post('/transfer/send', authenticateAPI, apiRateLimit, async (req, res) => {
+// Send ISHARE Transfer (API) - delivered through the provider, same pipeline as the web route
+router.post('/transfer/send', authenticateAPI('transfer'), apiRateLimit, idempotency, async (req, res) => {
   try {
     const { phoneNumber, amountMB, note } = req.body;
 
-    // Validation
-    if (!phoneNumber || !/^\d{10}$/.test(phoneNumber)) {
+    const phone = msisdn.check(phoneNumber);
+
+    if (!phone.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Phone number must be exactly 10 digits'
+        error: phone.message,
+        details: {
+          reason: phone.reason,
+          received: phoneNumber
+        }
       });
     }
 
-    if (!amountMB || amountMB < 1) {
+    if (!amountMB || amountMB < 50) {
       return res.status(400).json({
         success: false,
-        error: 'Amount must be at least 1MB'
+        error: 'Amount must be at least 50MB (provider requirement)'
       });
     }
 
-    if (req.user.ishareBalance < amountMB) {
+    const transferRequest = {
+      sender: req.user,
+      phoneNumber: phone.e164,
+      amountMB,
+      note,
+      method: 'api'
+    };
+
+    // Async mode (?mode=async or { async: true }) holds the balance and queues the delivery
+    const asyncMode = req.query.mode === 'async' || req.body.async === true;
+    const outcome = asyncMode
+      ? await transferService.submit(transferRequest)
+      : await transferService.send({ ...transferRequest, onReserved: () => markReserved(res) });
+
+    if (outcome.status === 'queued') {
+      markReserved(res);
+    }
+
+    // Refused before any balance was held
+    if (['unsupported_network', 'provider_unavailable', 'out_of_stock'].includes(outcome.status)) {
+      return sendProviderError(res, outcome.error, {
+        details: {
+          network: outcome.network,
+          requested: amountMB
+        }
+      });
+    }
+
+    if (outcome.status === 'insufficient_balance') {
       return res.status(400).json({
         success: false,
         error: 'Insufficient balance',
         details: {
-          available: req.user.ishareBalance,
-          requested: amountMB,
-          deficit: amountMB - req.user.ishareBalance
+          available: outcome.wallet ? outcome.wallet.availableBalance : 0,
+          held: outcome.wallet ? outcome.wallet.heldBalance : 0,
+          requested: amountMB
         }
       });
     }
 
-    // Create transfer record without checking if recipient exists
-    const transfer = new IshareTransfer({
-      sender: req.user._id,
-      recipientPhoneNumber: phoneNumber,
-      recipient: null, // No recipient user required
+    const { transfer } = outcome;
+    const transferDetails = {
+      id: transfer._id,
+      transactionId: transfer.externalTransactionId,
+      systemTransactionId: transfer.systemTransactionId,
+      vendorTransactionId: transfer.vendorTransactionId,
+      recipientPhoneNumber: transfer.recipientPhoneNumber,
       amountMB,
-      note: note || '',
-      status: 'completed'
-    });
+      status: transfer.status,
+      note: transfer.note,
+      failureReason: transfer.failureReason,
+      transferDate: transfer.createdAt
+    };
 
-    await transfer.save();
+    if (outcome.status === 'queued') {
+      transferQueue.kick();
 
-    // Deduct amount from sender's balance
-    const updatedSender = await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { ishareBalance: -amountMB } },
-      { new: true }
-    );
+      return res.status(202).json({
+        success: true,
+        message: 'Transfer queued for delivery',
+        transfer: transferDetails,
+        statusUrl: `${req.baseUrl}/transfer/status/${transfer.externalTransactionId}`,
+        senderBalance: outcome.wallet && outcome.wallet.availableBalance
+      });
+    }
 
-    // Create transaction for sender
-    const senderTransaction = new Transaction({
-      user: req.user._id,
-      type: 'transfer_sent',
-      amount: -amountMB, // Negative for deduction
-      method: 'api',
-      ishareTransfer: transfer._id,
-      description: `Sent ${amountMB}MB to ${phoneNumber}`
-    });
+    if (outcome.status === 'completed') {
+      return res.status(200).json({
+        success: true,
+        message: 'ISHARE sent successfully',
+        transfer: {
+          ...transferDetails,
+          providerMessage: outcome.apiResult.message
+        },
+        senderNewBalance: outcome.wallet && outcome.wallet.ishareBalance,
+        senderAvailableBalance: outcome.wallet && outcome.wallet.availableBalance
+      });
+    }
 
-    await senderTransaction.save();
+    // Provider timed out - the MB stays on hold until the resolution worker confirms the outcome
+    if (outcome.status === 'unknown') {
+      return res.status(202).json({
+        success: true,
+        message: 'Transfer submitted. Delivery is being confirmed with the provider.',
+        transfer: transferDetails,
+        senderBalance: outcome.wallet && outcome.wallet.availableBalance
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'ISHARE sent successfully',
-      transfer: {
-        id: transfer._id,
-        recipientPhoneNumber: phoneNumber,
-        amountMB,
-        status: 'completed',
-        note: transfer.note,
-        transferDate: transfer.createdAt
-      },
-      senderNewBalance: updatedSender.ishareBalance
+    // Provider declined ('failed') or could not be reached ('error') - the hold was released
+    sendProviderError(res, outcome.error, {
+      transfer: transferDetails,
+      senderBalance: outcome.wallet && outcome.wallet.availableBalance
     });
 
   } catch (error) {
@@ -235,7 +288,7 @@ router.post('/transfer/send', authenticateAPI, apiRateLimit, async (req, res) =>
 });
 
 // Get Transfer History (API)
-router.get('/transfers', authenticateAPI, async (req, res) => {
+router.get('/transfers', authenticateAPI('read'), async (req, res) => {
   try {
     const { type = 'all' } = req.query; // 'sent', 'received', or 'all'
 
@@ -269,7 +322,11 @@ router.get('/transfers', authenticateAPI, async (req, res) => {
       recipientName: transfer.recipient?.name || 'External Recipient',
       status: transfer.status,
       createdAt: transfer.createdAt,
-      note: transfer.note
+      note: transfer.note,
+      transactionId: transfer.externalTransactionId,
+      systemTransactionId: transfer.systemTransactionId,
+      vendorTransactionId: transfer.vendorTransactionId,
+      failureReason: transfer.failureReason
     }));
 
     res.json({
@@ -286,10 +343,130 @@ router.get('/transfers', authenticateAPI, async (req, res) => {
   }
 });
 
+// Send a batch of transfers: { reference, items: [{ reference, phoneNumber, amountMB, note }] }.
+// All items are checked and the total held up front; delivery happens in the background.
+router.post('/transfers/batch', authenticateAPI('transfer'), apiRateLimit, idempotency, async (req, res) => {
+  try {
+    const { reference, items } = req.body;
+
+    const outcome = await transferBatchService.submit({
+      sender: req.user,
+      items,
+      reference,
+      method: 'api'
+    });
+
+    if (outcome.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        error: `${outcome.errors.length} of ${items.length} items cannot be sent - nothing was submitted`,
+        details: {
+          items: outcome.errors
+        }
+      });
+    }
+
+    if (['provider_unavailable', 'out_of_stock'].includes(outcome.status)) {
+      return sendProviderError(res, outcome.error, {
+        details: {
+          provider: outcome.provider,
+          requested: outcome.requested
+        }
+      });
+    }
+
+    if (outcome.status === 'insufficient_balance') {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient balance for the whole batch',
+        details: {
+          available: outcome.wallet ? outcome.wallet.availableBalance : 0,
+          held: outcome.wallet ? outcome.wallet.heldBalance : 0,
+          requested: outcome.requested
+        }
+      });
+    }
+
+    markReserved(res);
+    transferQueue.kick();
+
+    const { batch } = outcome;
+
+    res.status(202).json({
+      success: true,
+      message: `${batch.itemCount} transfers queued for delivery`,
+      batch: {
+        id: batch._id,
+        reference: batch.reference,
+        itemCount: batch.itemCount,
+        totalMB: batch.totalMB,
+        createdAt: batch.createdAt
+      },
+      statusUrl: `${req.baseUrl}/transfers/batch/${batch._id}`,
+      resultsUrl: `${req.baseUrl}/transfers/batch/${batch._id}/results.csv`,
+      senderBalance: outcome.wallet.availableBalance
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Batch progress with every item's outcome
+router.get('/transfers/batch/:id', authenticateAPI('read'), validateObjectId('id'), async (req, res) => {
+  try {
+    const batch = await TransferBatch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer batch not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      batch: await transferBatchService.status(batch)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Batch outcomes as a CSV download, one row per item
+router.get('/transfers/batch/:id/results.csv', authenticateAPI('read'), validateObjectId('id'), async (req, res) => {
+  try {
+    const batch = await TransferBatch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transfer batch not found'
+      });
+    }
+
+    const status = await transferBatchService.status(batch);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=transfer_batch_${batch._id}.csv`);
+    res.send(transferBatchService.toCsv(status));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ==================== DATA USAGE ROUTES ====================
 
 // Use ISHARE Data (API)
-router.post('/use-data', authenticateAPI, apiRateLimit, async (req, res) => {
+router.post('/use-data', authenticateAPI('use-data'), apiRateLimit, idempotency, async (req, res) => {
   try {
     const { amount } = req.body;
 
@@ -307,35 +484,34 @@ router.post('/use-data', authenticateAPI, apiRateLimit, async (req, res) => {
       });
     }
 
-    if (req.user.ishareBalance < amount) {
+    // Deduct from the available balance (fails if pending transfers hold too much)
+    const usage = await walletService.debit({
+      userId: req.user._id,
+      amountMB: amount,
+      type: 'data_usage',
+      method: 'api',
+      description: `Used ${amount}MB of data`
+    });
+
+    if (!usage) {
+      // req.user was loaded before the debit - report the balance that refused it
+      const current = await User.findById(req.user._id).select('ishareBalance heldBalance');
+      const wallet = walletService.summary(current || {});
+
       return res.status(400).json({ 
         success: false,
         error: 'Insufficient balance',
         details: {
-          available: req.user.ishareBalance,
+          available: wallet.availableBalance,
+          held: wallet.heldBalance,
           requested: amount,
-          deficit: amount - req.user.ishareBalance
+          deficit: amount - wallet.availableBalance
         }
       });
     }
 
-    // Deduct from balance
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { ishareBalance: -amount } },
-      { new: true }
-    );
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: req.user._id,
-      type: 'data_usage',
-      amount: amount,
-      method: 'api',
-      description: `Used ${amount}MB of data`
-    });
-
-    await transaction.save();
+    markReserved(res);
+    const updatedUser = usage.user;
 
     res.json({
       success: true,
@@ -346,6 +522,7 @@ router.post('/use-data', authenticateAPI, apiRateLimit, async (req, res) => {
         userName: req.user.name,
         usedAmount: amount,
         remainingBalance: updatedUser.ishareBalance,
+        availableBalance: updatedUser.availableBalance,
         usageDate: new Date()
       }
     });
@@ -358,7 +535,7 @@ router.post('/use-data', authenticateAPI, apiRateLimit, async (req, res) => {
 });
 
 // Check Provider Balance (API) - Admin/Developer only
-router.get('/provider/balance', authenticateAPI, async (req, res) => {
+router.get('/provider/balance', authenticateAPI('read'), async (req, res) => {
   try {
     // Only admins and developers can check provider balance
     if (req.user.role !== 'admin' && req.user.role !== 'developer') {
@@ -368,8 +545,9 @@ router.get('/provider/balance', authenticateAPI, async (req, res) => {
       });
     }
 
-    const iShareService = require('../../services/ishareService');
-    const balanceResult = await iShareService.checkBalance();
+    // Through the provider's circuit breaker, like the dealer float refresh
+    const provider = providerRouter.get();
+    const balanceResult = await resilienceService.call(provider, 'checkBalance');
 
     res.json({
       success: true,
@@ -384,16 +562,14 @@ router.get('/provider/balance', authenticateAPI, async (req, res) => {
 
   } catch (error) {
     console.error('Provider Balance Check Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to check provider balance',
+    sendProviderError(res, error, {
       details: error.message
     });
   }
 });
 
 // Check Transaction Status (API)
-router.get('/transfer/status/:transactionId', authenticateAPI, async (req, res) => {
+router.get('/transfer/status/:transactionId', authenticateAPI('read'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
@@ -411,10 +587,10 @@ router.get('/transfer/status/:transactionId', authenticateAPI, async (req, res)
     }
 
     // If transaction was successful, check with provider
-    if (transfer.status === 'completed' || transfer.status === 'pending') {
+    if (['completed', 'pending', 'unknown'].includes(transfer.status)) {
       try {
-        const iShareService = require('../../services/ishareService');
-        const statusResult = await iShareService.checkTransactionStatus(transactionId);
+        const provider = providerRouter.adapterFor(transfer);
+        const statusResult = await resilienceService.call(provider, 'checkTransactionStatus', [transactionId]);
 
         res.json({
           success: true,
@@ -442,10 +618,7 @@ router.get('/transfer/status/:transactionId', authenticateAPI, async (req, res)
             recipientPhoneNumber: transfer.recipientPhoneNumber,
             note: transfer.note,
             createdAt: transfer.createdAt,
-            providerStatus: {
-              error: 'Could not check provider status',
-              message: providerError.message
-            }
+            providerStatus: ProviderError.from(providerError, transfer.provider).toResponse()
           }
         });
       }
@@ -476,10 +649,10 @@ router.get('/transfer/status/:transactionId', authenticateAPI, async (req, res)
 });
 
 // Get User Stats (API)
-router.get('/stats', authenticateAPI, async (req, res) => {
+router.get('/stats', authenticateAPI('read'), async (req, res) => {
   try {
-    if (req.user.role === 'admin') {
-      // Admin stats - system-wide overview
+    if (req.user.role === 'admin' && req.apiKey.scopes.includes('admin')) {
+      // Admin stats - system-wide overview (needs a key with the admin scope)
       const totalUsers = await User.countDocuments({ isActive: true });
       const totalLoads = await IshareLoad.countDocuments();
       const totalTransfers = await IshareTransfer.countDocuments();
@@ -490,7 +663,7 @@ router.get('/stats', authenticateAPI, async (req, res) => {
 
       const totalDataLoaded = allLoads.reduce((sum, load) => sum + load.amountMB, 0);
       const totalDataTransferred = allTransfers.reduce((sum, transfer) => sum + transfer.amountMB, 0);
-      const totalDataUsed = allUsage.reduce((sum, tx) => sum + tx.amount, 0);
+      const totalDataUsed = allUsage.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
 
       res.json({
         success: true,
@@ -508,7 +681,9 @@ router.get('/stats', authenticateAPI, async (req, res) => {
             name: req.user.name,
             email: req.user.email,
             phoneNumber: req.user.phoneNumber,
-            currentBalance: `${req.user.ishareBalance} MB`
+            currentBalance: `${req.user.ishareBalance} MB`,
+            heldBalance: `${req.user.heldBalance || 0} MB`,
+            availableBalance: `${req.user.availableBalance} MB`
           }
         }
       });
@@ -541,7 +716,9 @@ router.get('/stats', authenticateAPI, async (req, res) => {
             name: req.user.name,
             email: req.user.email,
             phoneNumber: req.user.phoneNumber,
-            currentBalance: `${req.user.ishareBalance} MB`
+            currentBalance: `${req.user.ishareBalance} MB`,
+            heldBalance: `${req.user.heldBalance || 0} MB`,
+            availableBalance: `${req.user.availableBalance} MB`
           }
         }
       });
@@ -557,7 +734,7 @@ router.get('/stats', authenticateAPI, async (req, res) => {
       const transfersReceived = await IshareTransfer.find({ recipient: req.user._id });
 
       const totalLoaded = userLoads.reduce((sum, load) => sum + load.amountMB, 0);
-      const totalUsed = userUsage.reduce((sum, transaction) => sum + transaction.amount, 0);
+      const totalUsed = userUsage.reduce((sum, transaction) => sum + Math.abs(transaction.amount), 0);
       const totalSent = transfersSent.reduce((sum, transfer) => sum + transfer.amountMB, 0);
       const totalReceived = transfersReceived.reduce((sum, transfer) => sum + transfer.amountMB, 0);
 
@@ -572,7 +749,9 @@ router.get('/stats', authenticateAPI, async (req, res) => {
             totalDataSent: `${totalSent} MB`,
             totalTransfersReceived: transfersReceived.length,
             totalDataReceived: `${totalReceived} MB`,
-            currentBalance: `${req.user.ishareBalance} MB`
+            currentBalance: `${req.user.ishareBalance} MB`,
+            heldBalance: `${req.user.heldBalance || 0} MB`,
+            availableBalance: `${req.user.availableBalance} MB`
           },
           user: {
             name: req.user.name,
@@ -590,4 +769,471 @@ router.get('/stats', authenticateAPI, async (req, res) => {
   }
 });
 
+// ==================== API KEY ROUTES ====================
+
+// The key making this request
+router.get('/keys/current', authenticateAPI(), (req, res) => {
+  res.json({
+    success: true,
+    key: apiKeyService.describe(req.apiKey)
+  });
+});
+
+// List the account's keys (hashes are never returned)
+router.get('/keys', authenticateAPI('admin'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(req.user._id);
+
+    res.json({
+      success: true,
+      keys,
+      scopes: apiKeyService.scopes
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a key: { name, scopes, expiresAt, requireSignature }. The key and its signing
+// secret are only returned in this response.
+router.post('/keys', authenticateAPI('admin'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt, requireSignature } = req.body;
+    const problem = apiKeyService.validate({ scopes, expiresAt });
+
+    if (!name || problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem || 'name is required'
+      });
+    }
+
+    const { apiKey, key, signingSecret } = await apiKeyService.create(req.user._id, { name, scopes, expiresAt, requireSignature });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the key and signing secret now - they are not shown again.',
+      apiKey,
+      key,
+      signingSecret
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Require (or stop requiring) signed requests for a key: { requireSignature }
+router.put('/keys/:id', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const { requireSignature } = req.body;
+
+    if (typeof requireSignature !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'requireSignature must be true or false'
+      });
+    }
+
+    const apiKey = await apiKeyService.setRequireSignature(req.user._id, req.params.id, requireSignature);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// New signing secret for a key - the old one stops working immediately
+router.post('/keys/:id/rotate-signing-secret', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotateSigningSecret(req.user._id, req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated. Store it now - it is not shown again.',
+      ...rotated
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke one key - other keys keep working
+router.delete('/keys/:id', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.user._id, req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ==================== WEBHOOK ROUTES ====================
+
+// Problems with a webhook registration body, or null. `partial` allows fields to be omitted (updates).
+const webhookInputError = async ({ url, events, lowBalanceThresholdMB }, partial = false) => {
+  if (url !== undefined || !partial) {
+    let parsed;
+
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'url must be an absolute http(s) URL';
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an absolute http(s) URL';
+    }
+
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      return 'url must use https';
+    }
+
+    const targetError = await webhookService.targetError(url);
+
+    if (targetError) {
+      return `url must point to a public host: ${targetError}`;
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return `events must be a non-empty array of: ${webhookService.events.join(', ')}`;
+    }
+
+    const unknown = events.filter(event => !webhookService.events.includes(event));
+
+    if (unknown.length) {
+      return `Unknown events: ${unknown.join(', ')}. Supported: ${webhookService.events.join(', ')}`;
+    }
+  }
+
+  if (lowBalanceThresholdMB !== undefined && (!Number.isFinite(Number(lowBalanceThresholdMB)) || Number(lowBalanceThresholdMB) < 0)) {
+    return 'lowBalanceThresholdMB must be a non-negative number';
+  }
+
+  return null;
+};
+
+// List your webhook endpoints
+router.get('/webhooks', authenticateAPI('read'), async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      endpoints,
+      events: webhookService.events
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register an endpoint. The signing secret is only returned here and by rotate-secret.
+router.post('/webhooks', authenticateAPI('admin'), async (req, res) => {
+  try {
+    const { url, events, description, lowBalanceThresholdMB } = req.body;
+    const inputError = await webhookInputError({ url, events, lowBalanceThresholdMB });
+
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+
+    const endpoint = await WebhookEndpoint.create({
+      user: req.user._id,
+      url,
+      events: [...new Set(events)],
+      secret,
+      description,
+      lowBalanceThresholdMB: lowBalanceThresholdMB !== undefined ? Number(lowBalanceThresholdMB) : undefined
+    });
+
+    const { secret: omitted, ...view } = endpoint.toObject();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint registered. Store the secret now - it is not shown again.',
+      endpoint: view,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change url, events, description, threshold or pause/resume with isActive
+router.put('/webhooks/:id', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const { url, events, description, lowBalanceThresholdMB, isActive } = req.body;
+    const inputError = await webhookInputError({ url, events, lowBalanceThresholdMB }, true);
+
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError
+      });
+    }
+
+    const changes = {};
+    if (url !== undefined) changes.url = url;
+    if (events !== undefined) changes.events = [...new Set(events)];
+    if (description !== undefined) changes.description = description;
+    if (lowBalanceThresholdMB !== undefined) changes.lowBalanceThresholdMB = Number(lowBalanceThresholdMB);
+    if (isActive !== undefined) changes.isActive = isActive === true || isActive === 'true';
+
+    const endpoint = await WebhookEndpoint.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      changes,
+      { new: true }
+    );
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      endpoint
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove an endpoint - its pending deliveries go dead on their next attempt
+router.delete('/webhooks/:id', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Issue a new signing secret - deliveries sent from now on use it
+router.post('/webhooks/:id/rotate-secret', authenticateAPI('admin'), validateObjectId('id'), async (req, res) => {
+  try {
+    const secret = webhookService.generateSecret();
+
+    const endpoint = await WebhookEndpoint.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { secret },
+      { new: true }
+    );
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the secret now - it is not shown again.',
+      endpoint,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delivery log for an endpoint (?status=pending|delivering|delivered|dead&event=&page=&limit=)
+router.get('/webhooks/:id/deliveries', authenticateAPI('read'), validateObjectId('id'), async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const query = { endpoint: endpoint._id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+
+    const [deliveries, totalDeliveries] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-payload -log')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalDeliveries / limit),
+        totalDeliveries,
+        deliveriesPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// One delivery with the body that was signed and every attempt's response
+router.get('/webhooks/deliveries/:deliveryId', authenticateAPI('read'), validateObjectId('deliveryId'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, user: req.user._id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Send a delivery again (same event id and body, new delivery id and signature)
+router.post('/webhooks/deliveries/:deliveryId/resend', authenticateAPI('admin'), validateObjectId('deliveryId'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, user: req.user._id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: delivery.endpoint, user: req.user._id });
+
+    if (!endpoint || !endpoint.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: 'The endpoint for this delivery was deleted or is disabled'
+      });
+    }
+
+    const resent = await webhookService.resend(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for resend',
+      delivery: resent
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Routes missing from the OpenAPI document are neither documented nor validated
+router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+    method,
+    path: layer.route.path.replace(/:(\w+)/g, '{$1}')
+  })))
+  .filter(({ method, path }) => !(openapi.paths[path] && openapi.paths[path][method]))
+  .forEach(({ method, path }) => {
+    console.warn(`⚠️ ${method.toUpperCase()} /api/v1/dev${path} is not in the OpenAPI document - its input is not validated`);
+  });
+
 module.exports = router;
\ No newline at end of file
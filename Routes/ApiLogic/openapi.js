@@ -0,0 +1,921 @@
+// OpenAPI 3 description of the developer API (mounted at /api/v1/dev)
+//
+// Served at GET /api/v1/dev/openapi.json, and the request schemas here are what incoming
+// bodies and query strings are checked against (validateRequest in MiddleWare/Middle.js),
+// so a route's documented and actual input cannot disagree. api.js warns at startup about
+// routes that are missing from this document. Request schemas must stay inside the
+// subset Services/SchemaValidator.js understands.
+const webhookService = require('../../Services/Webhooks');
+const apiKeyService = require('../../Services/ApiKeys');
+const transferBatchService = require('../../Services/TransferBatch');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const json = (schema, description) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+// Success envelope: { success: true, ...properties }
+const success = (properties) => ({
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    ...properties
+  }
+});
+
+const objectIdParameter = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+});
+
+const idempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Retrying with the same key returns the stored response instead of repeating the request (kept 24 hours).',
+  schema: { type: 'string', maxLength: 255 }
+};
+
+// Operation with API key security, the scopes it needs and the errors every such route can give
+const operation = ({ scopes = [], responses, ...rest }) => {
+  const takesInput = Boolean(rest.requestBody) || (rest.parameters || []).some(parameter => parameter.in === 'query');
+
+  return {
+    ...rest,
+    security: [{ ApiKeyAuth: [] }],
+    'x-required-scopes': scopes,
+    responses: {
+      ...(takesInput ? { 400: responseRef('ValidationFailed') } : {}),
+      401: responseRef('Unauthorized'),
+      ...(scopes.length ? { 403: responseRef('Forbidden') } : {}),
+      500: responseRef('ServerError'),
+      ...responses
+    }
+  };
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Error envelope. Errors raised by the authentication middleware omit `success`.',
+    required: ['error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Human-readable message' },
+      details: { description: 'Extra context - its shape depends on the error' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'details'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', example: 'body.amountMB must be at least 50' },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', example: 'body.amountMB' },
+            message: { type: 'string', example: 'must be at least 50' }
+          }
+        }
+      }
+    }
+  },
+  ScopeError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      requiredScopes: { type: 'array', items: { type: 'string' } },
+      keyScopes: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  ProviderError: {
+    type: 'object',
+    description: 'Answered when the data provider refuses or cannot be reached. HTTP 400 INVALID_RECIPIENT, 422 PROVIDER_REJECTED, 503 OUT_OF_STOCK / PROVIDER_UNAVAILABLE / CIRCUIT_OPEN.',
+    required: ['success', 'error', 'code', 'retryable'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Safe to show to customers' },
+      code: { type: 'string', example: 'OUT_OF_STOCK' },
+      retryable: { type: 'boolean', description: 'The same request may succeed later' },
+      providerCode: { type: 'string', nullable: true, description: 'Raw provider response code' },
+      provider: { type: 'string', nullable: true, example: 'ishare' },
+      retryAt: { type: 'string', format: 'date-time', description: 'Only while the provider circuit breaker is open' },
+      details: { type: 'object' },
+      transfer: ref('TransferDetails'),
+      senderBalance: { type: 'number' }
+    }
+  },
+  WalletSummary: {
+    type: 'object',
+    properties: {
+      ishareBalance: { type: 'number', description: 'MB on the wallet, held MB included' },
+      heldBalance: { type: 'number', description: 'MB reserved for transfers still in flight' },
+      availableBalance: { type: 'number', description: 'MB that can be spent now' },
+      balanceInGB: { type: 'string', example: '2.00' },
+      availableInGB: { type: 'string', example: '1.50' }
+    }
+  },
+  UserSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      email: { type: 'string' },
+      name: { type: 'string' },
+      phoneNumber: { type: 'string', example: '+233241234567' }
+    }
+  },
+  TransferStatus: {
+    type: 'string',
+    enum: ['completed', 'failed', 'pending', 'unknown'],
+    description: '`unknown` - the provider timed out and delivery is being confirmed'
+  },
+  TransferDetails: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      transactionId: { type: 'string' },
+      systemTransactionId: { type: 'string' },
+      vendorTransactionId: { type: 'string' },
+      recipientPhoneNumber: { type: 'string', example: '+233241234567' },
+      amountMB: { type: 'number' },
+      status: ref('TransferStatus'),
+      note: { type: 'string' },
+      failureReason: { type: 'string' },
+      transferDate: { type: 'string', format: 'date-time' },
+      providerMessage: { type: 'string' }
+    }
+  },
+  TransferListItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['sent', 'received'] },
+      amountMB: { type: 'number' },
+      recipientPhoneNumber: { type: 'string' },
+      senderName: { type: 'string' },
+      recipientName: { type: 'string' },
+      status: ref('TransferStatus'),
+      createdAt: { type: 'string', format: 'date-time' },
+      note: { type: 'string' },
+      transactionId: { type: 'string' },
+      systemTransactionId: { type: 'string' },
+      vendorTransactionId: { type: 'string' },
+      failureReason: { type: 'string' }
+    }
+  },
+  TransactionStatus: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      transactionId: { type: 'string' },
+      status: ref('TransferStatus'),
+      amountMB: { type: 'number' },
+      recipientPhoneNumber: { type: 'string' },
+      note: { type: 'string' },
+      failureReason: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      providerStatus: { type: 'object', description: 'Live provider answer, or a ProviderError envelope when the provider could not be asked' }
+    }
+  },
+  TransferBatchItem: {
+    type: 'object',
+    properties: {
+      reference: { type: 'string' },
+      phoneNumber: { type: 'string', example: '+233241234567' },
+      network: { type: 'string' },
+      amountMB: { type: 'integer' },
+      status: ref('TransferStatus'),
+      transactionId: { type: 'string' },
+      failureReason: { type: 'string', description: 'Only for failed items' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  TransferBatch: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      reference: { type: 'string' },
+      status: { type: 'string', enum: ['processing', 'completed'], description: '`completed` once no item is pending or unknown' },
+      itemCount: { type: 'integer' },
+      totalMB: { type: 'integer' },
+      deliveredMB: { type: 'integer' },
+      counts: {
+        type: 'object',
+        properties: {
+          completed: { type: 'integer' },
+          failed: { type: 'integer' },
+          pending: { type: 'integer' },
+          unknown: { type: 'integer' }
+        }
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      items: { type: 'array', items: ref('TransferBatchItem') }
+    }
+  },
+  HistoryItem: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: {
+        type: 'string',
+        enum: [
+          'admin_load', 'admin_debit', 'data_usage', 'transfer_sent', 'transfer_received', 'transfer_failed',
+          'transfer_error', 'transfer_reversed', 'refund', 'reconciliation_adjustment'
+        ]
+      },
+      amount: { type: 'number', description: 'MB - negative for deductions' },
+      method: { type: 'string', enum: ['web', 'api'] },
+      description: { type: 'string' },
+      date: { type: 'string', format: 'date-time' },
+      details: { type: 'object', nullable: true }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      currentPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      totalDeliveries: { type: 'integer' },
+      deliveriesPerPage: { type: 'integer' }
+    }
+  },
+  Scope: {
+    type: 'string',
+    enum: apiKeyService.scopes
+  },
+  ApiKey: {
+    type: 'object',
+    description: 'Never includes the key or its signing secret',
+    properties: {
+      _id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string', example: 'ishk_1a2b3c4d' },
+      scopes: { type: 'array', items: ref('Scope') },
+      requireSignature: { type: 'boolean' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      lastUsedAt: { type: 'string', format: 'date-time' },
+      lastUsedIp: { type: 'string' },
+      revokedAt: { type: 'string', format: 'date-time' },
+      active: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookEvent: {
+    type: 'string',
+    enum: webhookService.events
+  },
+  WebhookEndpoint: {
+    type: 'object',
+    description: 'Never includes the signing secret',
+    properties: {
+      _id: { type: 'string' },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: ref('WebhookEvent') },
+      description: { type: 'string' },
+      lowBalanceThresholdMB: { type: 'number' },
+      isActive: { type: 'boolean' },
+      lastDeliveryAt: { type: 'string', format: 'date-time' },
+      lastFailureAt: { type: 'string', format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      endpoint: { type: 'string' },
+      event: ref('WebhookEvent'),
+      eventId: { type: 'string', description: 'The same on every delivery and resend of an event' },
+      status: { type: 'string', enum: ['pending', 'delivering', 'delivered', 'dead'] },
+      attempts: { type: 'integer' },
+      nextAttemptAt: { type: 'string', format: 'date-time' },
+      lastError: { type: 'string' },
+      deliveredAt: { type: 'string', format: 'date-time' },
+      resendOf: { type: 'string' },
+      payload: { type: 'object', description: 'Body exactly as signed - only on the single-delivery route' },
+      log: {
+        type: 'array',
+        description: 'Every attempt - only on the single-delivery route',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            httpStatus: { type: 'integer' },
+            latencyMs: { type: 'integer' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  // Request bodies
+  TransferRequest: {
+    type: 'object',
+    required: ['phoneNumber', 'amountMB'],
+    properties: {
+      phoneNumber: { type: 'string', description: 'Ghana mobile number in any common form - 0241234567, 233241234567, +233 24 123 4567', example: '0241234567' },
+      amountMB: { type: 'integer', minimum: 50, description: 'Provider minimum is 50MB' },
+      note: { type: 'string', maxLength: 200 },
+      async: { type: 'boolean', description: 'Same as ?mode=async' }
+    }
+  },
+  TransferBatchRequest: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      reference: { type: 'string', maxLength: 100, description: 'Your id for the whole batch' },
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: transferBatchService.maxItems,
+        items: {
+          type: 'object',
+          required: ['reference', 'phoneNumber', 'amountMB'],
+          properties: {
+            reference: { type: 'string', minLength: 1, maxLength: 100, description: 'Your id for the item - unique within the batch' },
+            phoneNumber: { type: 'string', example: '0241234567' },
+            amountMB: { type: 'integer', minimum: 50 },
+            note: { type: 'string', maxLength: 200 }
+          }
+        }
+      }
+    }
+  },
+  UseDataRequest: {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+      amount: { type: 'number', minimum: 0, exclusiveMinimum: true, description: 'MB used' }
+    }
+  },
+  CreateApiKeyRequest: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scopes: { type: 'array', minItems: 1, items: ref('Scope') },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      requireSignature: { type: 'boolean' }
+    }
+  },
+  UpdateApiKeyRequest: {
+    type: 'object',
+    required: ['requireSignature'],
+    properties: {
+      requireSignature: { type: 'boolean' }
+    }
+  },
+  CreateWebhookRequest: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      url: { type: 'string', format: 'uri', description: 'Must resolve to a public address; https only in production' },
+      events: { type: 'array', minItems: 1, items: ref('WebhookEvent') },
+      description: { type: 'string' },
+      lowBalanceThresholdMB: { type: 'number', minimum: 0, description: 'balance.low fires when the available balance drops below this (default 1024)' }
+    }
+  },
+  UpdateWebhookRequest: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', format: 'uri', description: 'Must resolve to a public address; https only in production' },
+      events: { type: 'array', minItems: 1, items: ref('WebhookEvent') },
+      description: { type: 'string' },
+      lowBalanceThresholdMB: { type: 'number', minimum: 0 },
+      isActive: { type: 'boolean', description: 'false pauses deliveries' }
+    }
+  }
+};
+
+const responses = {
+  ValidationFailed: json(ref('ValidationError'), 'The request body or query string does not match this document'),
+  Unauthorized: json(ref('Error'), 'Missing, invalid, revoked or expired API key, or a bad request signature'),
+  Forbidden: json(ref('ScopeError'), 'The API key lacks the scope this route needs'),
+  NotFound: json(ref('Error'), 'Not found, or not yours'),
+  RateLimited: json({
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      retryAfter: { type: 'integer', description: 'Seconds' }
+    }
+  }, 'More than 50 money-moving requests in 15 minutes'),
+  IdempotencyConflict: json(ref('Error'), 'Idempotency-Key reused for a different request, or the first request is still running'),
+  ProviderError: json(ref('ProviderError'), 'Provider declined or unavailable'),
+  ServerError: json(ref('Error'), 'Unexpected server error')
+};
+
+const webhookEndpointIdParameter = objectIdParameter('id', 'Webhook endpoint id');
+const deliveryIdParameter = objectIdParameter('deliveryId', 'Webhook delivery id');
+const apiKeyIdParameter = objectIdParameter('id', 'API key id');
+
+const paths = {
+  '/status': {
+    get: {
+      summary: 'Service status and route list',
+      tags: ['Info'],
+      responses: { 200: json({ type: 'object' }, 'Service status') }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      summary: 'This document',
+      tags: ['Info'],
+      responses: { 200: json({ type: 'object' }, 'OpenAPI 3 document') }
+    }
+  },
+  '/user/profile': {
+    get: operation({
+      summary: 'Profile and balance of the key owner',
+      tags: ['Account'],
+      scopes: ['read'],
+      responses: {
+        200: json(success({
+          user: {
+            type: 'object',
+            properties: {
+              ...schemas.UserSummary.properties,
+              role: { type: 'string', enum: ['buyer', 'developer', 'admin'] },
+              ...schemas.WalletSummary.properties,
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }), 'Profile')
+      }
+    })
+  },
+  '/user/balance': {
+    get: operation({
+      summary: 'Wallet balance',
+      tags: ['Account'],
+      scopes: ['read'],
+      responses: {
+        200: json(success({ ...schemas.WalletSummary.properties, user: ref('UserSummary') }), 'Balance'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/usage-history': {
+    get: operation({
+      summary: 'Last 100 wallet movements',
+      tags: ['Account'],
+      scopes: ['read'],
+      parameters: [{
+        name: 'type',
+        in: 'query',
+        description: '`transfers` covers transfer_sent and transfer_received; any other value is a transaction type',
+        schema: {
+          type: 'string',
+          enum: ['all', 'transfers', ...schemas.HistoryItem.properties.type.enum]
+        }
+      }],
+      responses: {
+        200: json(success({ history: { type: 'array', items: ref('HistoryItem') } }), 'History, newest first')
+      }
+    })
+  },
+  '/transfer/send': {
+    post: operation({
+      summary: 'Send data to a Ghana mobile number',
+      description: 'Synchronous by default. With ?mode=async (or `async: true`) the MB is held, the transfer queued and 202 returned at once; poll statusUrl or subscribe to transfer webhooks.',
+      tags: ['Transfers'],
+      scopes: ['transfer'],
+      parameters: [
+        {
+          name: 'mode',
+          in: 'query',
+          schema: { type: 'string', enum: ['sync', 'async'] }
+        },
+        idempotencyKeyParameter
+      ],
+      requestBody: jsonBody(ref('TransferRequest')),
+      responses: {
+        200: json(success({
+          message: { type: 'string' },
+          transfer: ref('TransferDetails'),
+          senderNewBalance: { type: 'number' },
+          senderAvailableBalance: { type: 'number' }
+        }), 'Delivered'),
+        202: json(success({
+          message: { type: 'string' },
+          transfer: ref('TransferDetails'),
+          statusUrl: { type: 'string', description: 'Only for queued transfers' },
+          senderBalance: { type: 'number' }
+        }), 'Queued (async mode), or sent and awaiting provider confirmation'),
+        400: json(ref('Error'), 'Invalid phone number (details.reason), amount or body, or insufficient balance'),
+        409: responseRef('IdempotencyConflict'),
+        422: responseRef('ProviderError'),
+        429: responseRef('RateLimited'),
+        503: responseRef('ProviderError')
+      }
+    })
+  },
+  '/transfers': {
+    get: operation({
+      summary: 'Last 50 transfers sent or received',
+      tags: ['Transfers'],
+      scopes: ['read'],
+      parameters: [{
+        name: 'type',
+        in: 'query',
+        schema: { type: 'string', enum: ['all', 'sent', 'received'] }
+      }],
+      responses: {
+        200: json(success({
+          transfers: { type: 'array', items: ref('TransferListItem') },
+          total: { type: 'integer' }
+        }), 'Transfers, newest first')
+      }
+    })
+  },
+  '/transfers/batch': {
+    post: operation({
+      summary: 'Send many transfers in one request',
+      description: 'Every item is checked first and the total is held on your balance - the batch is accepted whole or refused whole. Items are then delivered in the background; follow statusUrl, download resultsUrl, or subscribe to transfer webhooks.',
+      tags: ['Transfers'],
+      scopes: ['transfer'],
+      parameters: [idempotencyKeyParameter],
+      requestBody: jsonBody(ref('TransferBatchRequest')),
+      responses: {
+        202: json(success({
+          message: { type: 'string' },
+          batch: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              reference: { type: 'string' },
+              itemCount: { type: 'integer' },
+              totalMB: { type: 'integer' },
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          statusUrl: { type: 'string' },
+          resultsUrl: { type: 'string' },
+          senderBalance: { type: 'number' }
+        }), 'Batch queued'),
+        400: json({
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            details: {
+              type: 'object',
+              description: 'For unusable items, `items` lists each one: { index, reference, reason, error } where reason is an Msisdn reason, DUPLICATE_REFERENCE, INVALID_AMOUNT or UNSUPPORTED_NETWORK. For insufficient balance: available, held, requested.'
+            }
+          }
+        }, 'Body does not match this document, some items cannot be sent, or insufficient balance'),
+        409: responseRef('IdempotencyConflict'),
+        429: responseRef('RateLimited'),
+        503: responseRef('ProviderError')
+      }
+    })
+  },
+  '/transfers/batch/{id}': {
+    get: operation({
+      summary: 'Batch progress with every item\'s outcome',
+      tags: ['Transfers'],
+      scopes: ['read'],
+      parameters: [objectIdParameter('id', 'Transfer batch id')],
+      responses: {
+        200: json(success({ batch: ref('TransferBatch') }), 'Batch'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/transfers/batch/{id}/results.csv': {
+    get: operation({
+      summary: 'Batch outcomes as CSV',
+      tags: ['Transfers'],
+      scopes: ['read'],
+      parameters: [objectIdParameter('id', 'Transfer batch id')],
+      responses: {
+        200: {
+          description: 'One row per item: reference, phone_number, network, amount_mb, status, transaction_id, failure_reason, updated_at',
+          content: { 'text/csv': { schema: { type: 'string' } } }
+        },
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/transfer/status/{transactionId}': {
+    get: operation({
+      summary: 'Status of one of your transfers',
+      description: 'Completed, pending and unknown transfers are also checked with the provider.',
+      tags: ['Transfers'],
+      scopes: ['read'],
+      parameters: [{
+        name: 'transactionId',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }],
+      responses: {
+        200: json(success({ transaction: ref('TransactionStatus') }), 'Transfer status'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/use-data': {
+    post: operation({
+      summary: 'Record data usage against the available balance',
+      tags: ['Account'],
+      scopes: ['use-data'],
+      parameters: [idempotencyKeyParameter],
+      requestBody: jsonBody(ref('UseDataRequest')),
+      responses: {
+        200: json(success({
+          message: { type: 'string' },
+          usage: {
+            type: 'object',
+            properties: {
+              userId: { type: 'string' },
+              userEmail: { type: 'string' },
+              userName: { type: 'string' },
+              usedAmount: { type: 'number' },
+              remainingBalance: { type: 'number' },
+              availableBalance: { type: 'number' },
+              usageDate: { type: 'string', format: 'date-time' }
+            }
+          }
+        }), 'Usage recorded'),
+        400: json(ref('Error'), 'Invalid body or insufficient balance'),
+        409: responseRef('IdempotencyConflict'),
+        429: responseRef('RateLimited')
+      }
+    })
+  },
+  '/provider/balance': {
+    get: operation({
+      summary: 'Dealer balance at the provider (admin and developer accounts)',
+      tags: ['Provider'],
+      scopes: ['read'],
+      responses: {
+        200: json(success({
+          providerBalance: {
+            type: 'object',
+            properties: {
+              balance: { type: 'number' },
+              balanceInGB: { type: 'string' },
+              expireTime: { type: 'string' },
+              message: { type: 'string' },
+              responseCode: { type: 'string' }
+            }
+          }
+        }), 'Provider balance'),
+        403: json(ref('Error'), 'Account is not an admin or developer, or the key lacks the scope'),
+        502: responseRef('ProviderError'),
+        503: responseRef('ProviderError')
+      }
+    })
+  },
+  '/stats': {
+    get: operation({
+      summary: 'Activity totals',
+      description: 'Admin accounts using a key with the admin scope get system-wide totals; developers get the loads they performed; everyone else gets their own activity.',
+      tags: ['Account'],
+      scopes: ['read'],
+      responses: {
+        200: json(success({ stats: { type: 'object' } }), 'Stats for the key owner')
+      }
+    })
+  },
+  '/keys/current': {
+    get: operation({
+      summary: 'The key making this request',
+      tags: ['API keys'],
+      responses: {
+        200: json(success({ key: ref('ApiKey') }), 'Current key')
+      }
+    })
+  },
+  '/keys': {
+    get: operation({
+      summary: 'List the account\'s keys',
+      tags: ['API keys'],
+      scopes: ['admin'],
+      responses: {
+        200: json(success({
+          keys: { type: 'array', items: ref('ApiKey') },
+          scopes: { type: 'array', items: ref('Scope') }
+        }), 'Keys, newest first')
+      }
+    }),
+    post: operation({
+      summary: 'Create a key',
+      description: 'The key and its signing secret are only returned in this response.',
+      tags: ['API keys'],
+      scopes: ['admin'],
+      requestBody: jsonBody(ref('CreateApiKeyRequest')),
+      responses: {
+        201: json(success({
+          message: { type: 'string' },
+          apiKey: ref('ApiKey'),
+          key: { type: 'string', example: 'ishk_...' },
+          signingSecret: { type: 'string', example: 'ishs_...' }
+        }), 'Key created')
+      }
+    })
+  },
+  '/keys/{id}': {
+    put: operation({
+      summary: 'Require (or stop requiring) signed requests for a key',
+      tags: ['API keys'],
+      scopes: ['admin'],
+      parameters: [apiKeyIdParameter],
+      requestBody: jsonBody(ref('UpdateApiKeyRequest')),
+      responses: {
+        200: json(success({ apiKey: ref('ApiKey') }), 'Key updated'),
+        404: responseRef('NotFound')
+      }
+    }),
+    delete: operation({
+      summary: 'Revoke a key - other keys keep working',
+      tags: ['API keys'],
+      scopes: ['admin'],
+      parameters: [apiKeyIdParameter],
+      responses: {
+        200: json(success({ message: { type: 'string' }, apiKey: ref('ApiKey') }), 'Key revoked'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/keys/{id}/rotate-signing-secret': {
+    post: operation({
+      summary: 'Issue a new signing secret - the old one stops working at once',
+      tags: ['API keys'],
+      scopes: ['admin'],
+      parameters: [apiKeyIdParameter],
+      responses: {
+        200: json(success({
+          message: { type: 'string' },
+          apiKey: ref('ApiKey'),
+          signingSecret: { type: 'string' }
+        }), 'Secret rotated'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/webhooks': {
+    get: operation({
+      summary: 'List your webhook endpoints',
+      tags: ['Webhooks'],
+      scopes: ['read'],
+      responses: {
+        200: json(success({
+          endpoints: { type: 'array', items: ref('WebhookEndpoint') },
+          events: { type: 'array', items: ref('WebhookEvent') }
+        }), 'Endpoints')
+      }
+    }),
+    post: operation({
+      summary: 'Register an endpoint',
+      description: 'The signing secret is only returned here and by rotate-secret.',
+      tags: ['Webhooks'],
+      scopes: ['admin'],
+      requestBody: jsonBody(ref('CreateWebhookRequest')),
+      responses: {
+        201: json(success({
+          message: { type: 'string' },
+          endpoint: ref('WebhookEndpoint'),
+          secret: { type: 'string', example: 'whsec_...' }
+        }), 'Endpoint registered')
+      }
+    })
+  },
+  '/webhooks/{id}': {
+    put: operation({
+      summary: 'Change an endpoint, or pause and resume it',
+      tags: ['Webhooks'],
+      scopes: ['admin'],
+      parameters: [webhookEndpointIdParameter],
+      requestBody: jsonBody(ref('UpdateWebhookRequest')),
+      responses: {
+        200: json(success({ endpoint: ref('WebhookEndpoint') }), 'Endpoint updated'),
+        404: responseRef('NotFound')
+      }
+    }),
+    delete: operation({
+      summary: 'Remove an endpoint - its pending deliveries are dropped',
+      tags: ['Webhooks'],
+      scopes: ['admin'],
+      parameters: [webhookEndpointIdParameter],
+      responses: {
+        200: json(success({ message: { type: 'string' } }), 'Endpoint deleted'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/webhooks/{id}/rotate-secret': {
+    post: operation({
+      summary: 'Issue a new signing secret for an endpoint',
+      tags: ['Webhooks'],
+      scopes: ['admin'],
+      parameters: [webhookEndpointIdParameter],
+      responses: {
+        200: json(success({
+          message: { type: 'string' },
+          endpoint: ref('WebhookEndpoint'),
+          secret: { type: 'string' }
+        }), 'Secret rotated'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    get: operation({
+      summary: 'Delivery log of an endpoint',
+      tags: ['Webhooks'],
+      scopes: ['read'],
+      parameters: [
+        webhookEndpointIdParameter,
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'delivering', 'delivered', 'dead'] } },
+        { name: 'event', in: 'query', schema: ref('WebhookEvent') },
+        { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+        { name: 'limit', in: 'query', description: 'Default 50; values above 200 are treated as 200', schema: { type: 'integer', minimum: 1 } }
+      ],
+      responses: {
+        200: json(success({
+          deliveries: { type: 'array', items: ref('WebhookDelivery') },
+          pagination: ref('Pagination')
+        }), 'Deliveries without payload and log, newest first'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/webhooks/deliveries/{deliveryId}': {
+    get: operation({
+      summary: 'One delivery with its signed body and every attempt',
+      tags: ['Webhooks'],
+      scopes: ['read'],
+      parameters: [deliveryIdParameter],
+      responses: {
+        200: json(success({ delivery: ref('WebhookDelivery') }), 'Delivery'),
+        404: responseRef('NotFound')
+      }
+    })
+  },
+  '/webhooks/deliveries/{deliveryId}/resend': {
+    post: operation({
+      summary: 'Send a delivery again (same event id and body)',
+      tags: ['Webhooks'],
+      scopes: ['admin'],
+      parameters: [deliveryIdParameter],
+      responses: {
+        202: json(success({ message: { type: 'string' }, delivery: ref('WebhookDelivery') }), 'Resend queued'),
+        404: responseRef('NotFound'),
+        409: json(ref('Error'), 'The endpoint was deleted or is disabled')
+      }
+    })
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'ISHARE Developer API',
+    version: '2.0.0',
+    description: [
+      'Send data bundles, check balances and receive webhooks.',
+      '',
+      'Authenticate with an API key in the `X-API-Key` header. Each route lists the key scopes it accepts in `x-required-scopes`.',
+      '',
+      `Signed requests: send \`X-Ishare-Timestamp\` (unix seconds), \`X-Ishare-Nonce\` (16-128 of A-Za-z0-9_-, single use) and \`X-Ishare-Signature: sha256=<hex HMAC-SHA256>\` of \`METHOD\\npath?query\\nhex SHA-256 of body\\ntimestamp\\nnonce\` under the key's signing secret. Timestamps more than ${apiKeyService.maxSkewSeconds}s from server time are refused. Keys with requireSignature refuse unsigned requests.`,
+      '',
+      'Errors share one envelope: `{ success: false, error, ... }`. Provider failures add `code`, `retryable`, `providerCode`, `provider` and sometimes `retryAt`.'
+    ].join('\n')
+  },
+  servers: [{ url: '/api/v1/dev' }],
+  tags: [
+    { name: 'Info' },
+    { name: 'Account' },
+    { name: 'Transfers' },
+    { name: 'Provider' },
+    { name: 'API keys' },
+    { name: 'Webhooks' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas,
+    responses
+  }
+};
@@ -1,13 +1,23 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { User, IshareLoad, Transaction, IshareTransfer } = require('../../Schema/Schema');
+const transferService = require('../../Services/Transfer');
+const walletService = require('../../Services/Wallet');
+const providerRouter = require('../../Services/ProviderRouter');
+const resilienceService = require('../../Services/Resilience');
+const transferQueue = require('../../Services/TransferQueue');
+const { ProviderError } = require('../../Services/ProviderErrors');
+const msisdn = require('../../Services/Msisdn');
+const apiKeyService = require('../../Services/ApiKeys');
 const {
   authenticate,
   adminOnly,
   webRateLimit,
-  validateObjectId
+  validateObjectId,
+  idempotency,
+  markReserved,
+  sendProviderError
 } = require('../../MiddleWare/Middle');
 
 const router = express.Router();
@@ -19,29 +29,22 @@ router.post('/auth/register', async (req, res) => {
   try {
     const { email, password, name, role, phoneNumber } = req.body;
 
-    // Validate phone number is required
-    if (!phoneNumber) {
-      return res.status(400).json({ 
-        error: 'Phone number is required' 
-      });
-    }
+    // Validate and normalize the phone number (stored as +233XXXXXXXXX)
+    const phone = msisdn.check(phoneNumber);
 
-    // Clean and validate phone number
-    const digitsOnly = String(phoneNumber).replace(/\D/g, '');
-    if (!/^\d{9,10}$/.test(digitsOnly)) {
+    if (!phone.valid) {
       return res.status(400).json({ 
-        error: 'Phone number must be 9-10 digits (Ghana local format)',
-        received: phoneNumber,
-        digitsOnly: digitsOnly,
-        length: digitsOnly.length
+        error: phone.message,
+        reason: phone.reason,
+        received: phoneNumber
       });
     }
 
-    // Check if user exists (use cleaned phone number for checking)
+    // Check if user exists
     const existingUser = await User.findOne({ 
       $or: [
         { email },
-        { phoneNumber: digitsOnly }
+        { phoneNumber: phone.e164 }
       ]
     });
     
@@ -49,7 +52,7 @@ router.post('/auth/register', async (req, res) => {
       if (existingUser.email === email) {
         return res.status(400).json({ error: 'Email already exists' });
       }
-      if (existingUser.phoneNumber === digitsOnly) {
+      if (existingUser.phoneNumber === phone.e164) {
         return res.status(400).json({ error: 'Phone number already exists' });
       }
     }
@@ -57,20 +60,19 @@ router.post('/auth/register', async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Generate API key for ALL users (not just developers)
-    const apiKey = crypto.randomBytes(32).toString('hex');
-
     const user = new User({
       email,
       password: hashedPassword,
       name,
       role: role || 'buyer',
-      phoneNumber: digitsOnly, // Store cleaned phone number
-      apiKey
+      phoneNumber: phone.e164
     });
 
     await user.save();
 
+    // First API key for ALL users (not just developers) - only shown in this response
+    const { key: apiKey, signingSecret } = await apiKeyService.create(user._id, { name: 'Default' });
+
     // Generate JWT
     const token = jwt.sign(
       { id: user._id, role: user.role },
@@ -88,7 +90,8 @@ router.post('/auth/register', async (req, res) => {
         phoneNumber: user.phoneNumber,
         role: user.role,
         ishareBalance: user.ishareBalance,
-        apiKey: user.apiKey
+        apiKey,
+        apiKeySigningSecret: signingSecret
       }
     });
   } catch (error) {
@@ -129,8 +132,7 @@ router.post('/auth/login', async (req, res) => {
         name: user.name,
         phoneNumber: user.phoneNumber,
         role: user.role,
-        ishareBalance: user.ishareBalance,
-        apiKey: user.apiKey
+        ishareBalance: user.ishareBalance
       }
     });
   } catch (error) {
@@ -149,17 +151,15 @@ router.get('/user/profile', authenticate, (req, res) => {
     phoneNumber: req.user.phoneNumber,
     role: req.user.role,
     ishareBalance: req.user.ishareBalance,
-    apiKey: req.user.apiKey,
+    heldBalance: req.user.heldBalance,
+    availableBalance: req.user.availableBalance,
     createdAt: req.user.createdAt
   });
 });
 
 // Get User Balance
 router.get('/user/balance', authenticate, (req, res) => {
-  res.json({
-    ishareBalance: req.user.ishareBalance,
-    balanceInGB: (req.user.ishareBalance / 1024).toFixed(2)
-  });
+  res.json(walletService.summary(req.user));
 });
 
 // Update User Profile
@@ -179,21 +179,86 @@ router.put('/user/profile', authenticate, async (req, res) => {
   }
 });
 
-// Regenerate API Key
-router.post('/user/regenerate-api-key', authenticate, async (req, res) => {
+// List API keys (names, prefixes, scopes, expiry and last use - never the keys themselves)
+router.get('/user/api-keys', authenticate, async (req, res) => {
   try {
-    const newApiKey = crypto.randomBytes(32).toString('hex');
-    
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      { apiKey: newApiKey },
-      { new: true }
-    ).select('-password');
+    const keys = await apiKeyService.list(req.user._id);
+    res.json({ keys, scopes: apiKeyService.scopes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an API key: { name, scopes, expiresAt, requireSignature }. The key and its signing
+// secret are only returned in this response.
+router.post('/user/api-keys', authenticate, async (req, res) => {
+  try {
+    const { name, scopes = apiKeyService.defaultScopes, expiresAt, requireSignature } = req.body;
+    const problem = apiKeyService.validate({ scopes, expiresAt });
+
+    if (!name || problem) {
+      return res.status(400).json({ error: problem || 'name is required' });
+    }
 
-    res.json({ 
-      message: 'API key regenerated successfully',
-      apiKey: user.apiKey
+    const { apiKey, key, signingSecret } = await apiKeyService.create(req.user._id, { name, scopes, expiresAt, requireSignature });
+
+    res.status(201).json({ 
+      message: 'API key created. Store the key and signing secret now - they are not shown again.',
+      apiKey,
+      key,
+      signingSecret
     });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Require (or stop requiring) signed requests for an API key: { requireSignature }
+router.put('/user/api-keys/:id', authenticate, validateObjectId('id'), async (req, res) => {
+  try {
+    const { requireSignature } = req.body;
+
+    if (typeof requireSignature !== 'boolean') {
+      return res.status(400).json({ error: 'requireSignature must be true or false' });
+    }
+
+    const apiKey = await apiKeyService.setRequireSignature(req.user._id, req.params.id, requireSignature);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ apiKey });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// New signing secret for an API key - the old one stops working immediately
+router.post('/user/api-keys/:id/rotate-signing-secret', authenticate, validateObjectId('id'), async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotateSigningSecret(req.user._id, req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'Signing secret rotated. Store it now - it is not shown again.', ...rotated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke one API key - other keys keep working
+router.delete('/user/api-keys/:id', authenticate, validateObjectId('id'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.user._id, req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked', apiKey });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -202,7 +267,7 @@ router.post('/user/regenerate-api-key', authenticate, async (req, res) => {
 // ==================== ADMIN ROUTES ====================
 
 // Load ISHARE for User (Admin only)
-router.post('/admin/load-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/admin/load-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { userId, amountMB, reason } = req.body;
 
@@ -216,35 +281,16 @@ router.post('/admin/load-ishare', authenticate, adminOnly, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Create load record
-    const load = new IshareLoad({
-      user: userId,
+    // Load record, balance, transaction and journal entry are written together
+    const { load, user: updatedUser } = await walletService.credit({
+      userId: user._id,
       amountMB,
-      loadedBy: req.user._id,
-      reason: reason || 'Admin Load'
-    });
-
-    await load.save();
-
-    // Update user balance
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { $inc: { ishareBalance: amountMB } },
-      { new: true }
-    );
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: userId,
-      type: 'admin_load',
-      amount: amountMB,
-      method: req.method === 'api' ? 'api' : 'web',
-      ishareLoad: load._id,
+      reason: reason || 'Admin Load',
       performedBy: req.user._id,
       description: `Admin loaded ${amountMB}MB - ${reason || 'Admin Load'}`
     });
 
-    await transaction.save();
+    markReserved(res);
 
     res.status(201).json({
       message: 'ISHARE loaded successfully',
@@ -264,7 +310,7 @@ router.post('/admin/load-ishare', authenticate, adminOnly, async (req, res) => {
 });
 
 // Credit ISHARE by email (Admin only)
-router.post('/admin/credit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/admin/credit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { userEmail, amountMB, reason } = req.body;
 
@@ -278,35 +324,16 @@ router.post('/admin/credit-ishare', authenticate, adminOnly, async (req, res) =>
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Create load record
-    const load = new IshareLoad({
-      user: user._id,
+    // Load record, balance, transaction and journal entry are written together
+    const { load, user: updatedUser } = await walletService.credit({
+      userId: user._id,
       amountMB,
-      loadedBy: req.user._id,
-      reason: reason || 'Admin Credit'
-    });
-
-    await load.save();
-
-    // Update user balance
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { $inc: { ishareBalance: amountMB } },
-      { new: true }
-    );
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: user._id,
-      type: 'admin_load',
-      amount: amountMB,
-      method: 'web',
-      ishareLoad: load._id,
+      reason: reason || 'Admin Credit',
       performedBy: req.user._id,
       description: `Admin credited ${amountMB}MB - ${reason || 'Admin Credit'}`
     });
 
-    await transaction.save();
+    markReserved(res);
 
     res.status(201).json({
       message: 'ISHARE credited successfully',
@@ -327,7 +354,7 @@ router.post('/admin/credit-ishare', authenticate, adminOnly, async (req, res) =>
 });
 
 // Debit ISHARE by email (Admin only)
-router.post('/admin/debit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/admin/debit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { userEmail, amountMB, reason } = req.body;
 
@@ -341,33 +368,26 @@ router.post('/admin/debit-ishare', authenticate, adminOnly, async (req, res) =>
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if user has enough balance
-    if (user.ishareBalance < amountMB) {
+    // Deduct from the available balance - MB held by pending transfers cannot be debited
+    const debit = await walletService.debit({
+      userId: user._id,
+      amountMB,
+      type: 'admin_debit',
+      performedBy: req.user._id,
+      description: `Admin debited ${amountMB}MB - ${reason || 'Admin Debit'}`
+    });
+
+    if (!debit) {
       return res.status(400).json({ 
         error: 'Insufficient balance',
-        available: user.ishareBalance,
+        available: user.availableBalance,
+        held: user.heldBalance,
         requested: amountMB
       });
     }
 
-    // Update user balance (deduct)
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { $inc: { ishareBalance: -amountMB } },
-      { new: true }
-    );
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: user._id,
-      type: 'admin_debit',
-      amount: -amountMB,
-      method: 'web',
-      performedBy: req.user._id,
-      description: `Admin debited ${amountMB}MB - ${reason || 'Admin Debit'}`
-    });
-
-    await transaction.save();
+    markReserved(res);
+    const updatedUser = debit.user;
 
     res.status(200).json({
       message: 'ISHARE debited successfully',
@@ -378,6 +398,7 @@ router.post('/admin/debit-ishare', authenticate, adminOnly, async (req, res) =>
         amountMB,
         reason: reason || 'Admin Debit',
         newBalance: updatedUser.ishareBalance,
+        availableBalance: updatedUser.availableBalance,
         debitedAt: new Date()
       }
     });
@@ -387,7 +408,7 @@ router.post('/admin/debit-ishare', authenticate, adminOnly, async (req, res) =>
 });
 
 // Bulk credit ISHARE (Admin only)
-router.post('/admin/bulk-credit-ishare', authenticate, adminOnly, async (req, res) => {
+router.post('/admin/bulk-credit-ishare', authenticate, adminOnly, idempotency, async (req, res) => {
   try {
     const { credits } = req.body; // Array of { userEmail, amountMB, reason }
 
@@ -414,35 +435,15 @@ router.post('/admin/bulk-credit-ishare', authenticate, adminOnly, async (req, re
           continue;
         }
 
-        // Create load record
-        const load = new IshareLoad({
-          user: user._id,
+        const { user: updatedUser } = await walletService.credit({
+          userId: user._id,
           amountMB,
-          loadedBy: req.user._id,
-          reason: reason || 'Bulk Credit'
-        });
-
-        await load.save();
-
-        // Update user balance
-        const updatedUser = await User.findByIdAndUpdate(
-          user._id,
-          { $inc: { ishareBalance: amountMB } },
-          { new: true }
-        );
-
-        // Create transaction
-        const transaction = new Transaction({
-          user: user._id,
-          type: 'admin_load',
-          amount: amountMB,
-          method: 'web',
-          ishareLoad: load._id,
+          reason: reason || 'Bulk Credit',
           performedBy: req.user._id,
           description: `Bulk credit ${amountMB}MB - ${reason || 'Bulk Credit'}`
         });
 
-        await transaction.save();
+        markReserved(res);
 
         results.push({
           userEmail,
@@ -544,17 +545,19 @@ router.get('/admin/dashboard', authenticate, adminOnly, async (req, res) => {
     const activeUsers = await User.countDocuments({ isActive: true });
 
     // Get ISHARE stats
-    const allUsers = await User.find().select('ishareBalance');
+    const allUsers = await User.find().select('ishareBalance heldBalance');
     const totalDataLoaded = await IshareLoad.aggregate([
       { $group: { _id: null, total: { $sum: '$amountMB' } } }
     ]);
+    // Usage rows are negative; older rows were stored positive, so sum the magnitude
     const totalDataUsed = await Transaction.aggregate([
       { $match: { type: 'data_usage' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: { $abs: '$amount' } } } }
     ]);
 
     const totalLoads = await IshareLoad.countDocuments();
     const remainingData = allUsers.reduce((sum, user) => sum + (user.ishareBalance || 0), 0);
+    const heldData = allUsers.reduce((sum, user) => sum + (user.heldBalance || 0), 0);
 
     // Get recent activity (last 10 transactions)
     const recentActivity = await Transaction.find()
@@ -573,6 +576,8 @@ router.get('/admin/dashboard', authenticate, adminOnly, async (req, res) => {
           totalDataLoaded: totalDataLoaded[0]?.total || 0,
           totalDataUsed: totalDataUsed[0]?.total || 0,
           remainingData,
+          heldData,
+          availableData: remainingData - heldData,
           totalLoads
         },
         recentActivity
@@ -648,7 +653,7 @@ router.get('/admin/transfers', authenticate, adminOnly, async (req, res) => {
     const { status, page = 1, limit = 20 } = req.query;
     
     let query = {};
-    if (status && ['completed', 'failed', 'pending'].includes(status)) {
+    if (status && ['completed', 'failed', 'pending', 'unknown'].includes(status)) {
       query.status = status;
     }
 
@@ -694,49 +699,38 @@ router.get('/admin/provider-balance', authenticate, adminOnly, async (req, res)
 
   } catch (error) {
     console.error('Provider Balance Check Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to check provider balance',
+    sendProviderError(res, error, {
       details: error.message
     });
   }
 });
 
-// UPDATED: Check phone numbers in database (Admin only - for debugging)
+// Check stored phone numbers against the canonical format (Admin only - for debugging)
 router.get('/admin/check-phone-numbers', authenticate, adminOnly, async (req, res) => {
   try {
     const users = await User.find({}, 'phoneNumber email name');
-    const invalidNumbers = users.filter(user => {
-      const phone = String(user.phoneNumber || '');
-      const digitsOnly = phone.replace(/\D/g, '');
-      return !/^\d{9,10}$/.test(digitsOnly);
-    });
-    
+
     const phoneStats = users.map(user => {
-      const phone = String(user.phoneNumber || '');
-      const digitsOnly = phone.replace(/\D/g, '');
+      const phone = msisdn.check(user.phoneNumber);
       return {
         email: user.email,
         name: user.name,
         phoneNumber: user.phoneNumber,
-        digitsOnly: digitsOnly,
-        length: digitsOnly.length,
-        type: typeof user.phoneNumber,
-        startsWithZero: digitsOnly.startsWith('0'),
-        isValid: /^\d{9,10}$/.test(digitsOnly)
+        isValid: phone.valid,
+        canonical: phone.valid ? phone.e164 : null,
+        needsMigration: !phone.valid || phone.e164 !== user.phoneNumber,
+        network: phone.valid ? phone.network : null,
+        reason: phone.valid ? null : phone.reason
       };
     });
+
+    const invalidUsers = phoneStats.filter(stat => !stat.isValid);
     
     res.json({
       totalUsers: users.length,
-      invalidNumbers: invalidNumbers.length,
-      invalidUsers: invalidNumbers.map(user => ({
-        email: user.email,
-        name: user.name,
-        phoneNumber: user.phoneNumber,
-        length: String(user.phoneNumber || '').replace(/\D/g, '').length,
-        type: typeof user.phoneNumber
-      })),
+      invalidNumbers: invalidUsers.length,
+      needsMigration: phoneStats.filter(stat => stat.needsMigration).length,
+      invalidUsers,
       phoneStats: phoneStats
     });
   } catch (error) {
@@ -747,7 +741,7 @@ router.get('/admin/check-phone-numbers', authenticate, adminOnly, async (req, re
 // ==================== TRANSFER ROUTES ====================
 
 // UPDATED: Send ISHARE to phone number with actual API call
-router.post('/transfer/send', authenticate, async (req, res) => {
+router.post('/transfer/send', authenticate, idempotency, async (req, res) => {
   try {
     const { phoneNumber, amountMB, note } = req.body;
     
@@ -759,34 +753,13 @@ router.post('/transfer/send', authenticate, async (req, res) => {
       userEmail: req.user.email 
     });
 
-    // Enhanced validation
-    if (!phoneNumber) {
-      return res.status(400).json({ 
-        error: 'Phone number is required' 
-      });
-    }
-
-    // Convert to string and validate
-    const phoneStr = String(phoneNumber).trim();
-    console.log('Phone number validation:', { original: phoneNumber, trimmed: phoneStr });
+    const phone = msisdn.check(phoneNumber);
 
-    // Remove any non-digit characters for validation
-    const digitsOnly = phoneStr.replace(/\D/g, '');
-
-    // Allow 9 digits (missing leading 2), 10 digits (with or without leading 0), or 12 digits (international)
-    if (digitsOnly.length === 9) {
-      // 9 digits - acceptable (will add 233 + 2 in formatting)
-    } else if (digitsOnly.length === 10) {
-      // 10 digits - acceptable (with or without leading 0)
-    } else if (digitsOnly.length === 12 && digitsOnly.startsWith('233')) {
-      // 12 digits international format - acceptable
-    } else {
+    if (!phone.valid) {
       return res.status(400).json({ 
-        error: 'Phone number must be 9-10 digits (Ghana local) or 12 digits (international format)',
-        received: phoneStr,
-        digitsOnly: digitsOnly,
-        length: digitsOnly.length,
-        type: typeof phoneNumber
+        error: phone.message,
+        reason: phone.reason,
+        received: phoneNumber
       });
     }
 
@@ -796,188 +769,107 @@ router.post('/transfer/send', authenticate, async (req, res) => {
       });
     }
 
-    if (req.user.ishareBalance < amountMB) {
+    const transferRequest = {
+      sender: req.user,
+      phoneNumber: phone.e164,
+      amountMB,
+      note,
+      method: 'web'
+    };
+
+    // Debit, provider call and settlement run through the shared transfer pipeline.
+    // Async mode (?mode=async or { async: true }) holds the balance and queues the delivery.
+    const asyncMode = req.query.mode === 'async' || req.body.async === true;
+    const outcome = asyncMode
+      ? await transferService.submit(transferRequest)
+      : await transferService.send({ ...transferRequest, onReserved: () => markReserved(res) });
+
+    if (outcome.status === 'queued') {
+      markReserved(res);
+    }
+
+    // Refused before any balance was held
+    if (['unsupported_network', 'provider_unavailable', 'out_of_stock'].includes(outcome.status)) {
+      return sendProviderError(res, outcome.error, { requested: amountMB });
+    }
+
+    if (outcome.status === 'insufficient_balance') {
       return res.status(400).json({ 
         error: 'Insufficient balance',
-        available: req.user.ishareBalance,
+        available: outcome.wallet ? outcome.wallet.availableBalance : 0,
+        held: outcome.wallet ? outcome.wallet.heldBalance : 0,
         requested: amountMB
       });
     }
 
-    // Generate unique transaction ID for tracking
-    const iShareService = require('../../Services/Ishare');
-    const transactionId = iShareService.generateTransactionId('WEB');
+    const { transfer } = outcome;
+    const transactionId = transfer.externalTransactionId;
 
-    console.log('Generated transaction ID:', transactionId);
-
-    // Create transfer record with pending status
-    const transfer = new IshareTransfer({
-      sender: req.user._id,
-      recipientPhoneNumber: phoneStr,
-      recipient: null,
-      amountMB,
-      note: note || '',
-      status: 'pending',
-      externalTransactionId: transactionId
-    });
-
-    await transfer.save();
-    console.log('Transfer record created:', transfer._id);
-
-    try {
-      // Call external ISHARE API to send the data
-      console.log('Calling iShare API with phone:', phoneStr, 'amount:', amountMB);
-      const apiResult = await iShareService.sendTransfer(phoneStr, amountMB, transactionId);
-      
-      console.log('API Result:', apiResult);
-
-      if (apiResult.success) {
-        // API call successful - update transfer status and deduct balance
-        transfer.status = 'completed';
-        transfer.systemTransactionId = apiResult.systemTransactionId;
-        transfer.vendorTransactionId = apiResult.vendorTransactionId;
-        await transfer.save();
-
-        // Deduct amount from sender's balance
-        const updatedSender = await User.findByIdAndUpdate(
-          req.user._id,
-          { $inc: { ishareBalance: -amountMB } },
-          { new: true }
-        );
-
-        // Create successful transaction for sender
-        const senderTransaction = new Transaction({
-          user: req.user._id,
-          type: 'transfer_sent',
-          amount: -amountMB,
-          method: 'web',
-          ishareTransfer: transfer._id,
-          description: `Sent ${amountMB}MB to ${phoneStr} - Transaction ID: ${transactionId}`
-        });
+    if (outcome.status === 'queued') {
+      transferQueue.kick();
 
-        await senderTransaction.save();
-
-        res.status(200).json({
-          message: 'ISHARE sent successfully',
-          transfer: {
-            id: transfer._id,
-            transactionId: transactionId,
-            systemTransactionId: apiResult.systemTransactionId,
-            vendorTransactionId: apiResult.vendorTransactionId,
-            recipientPhoneNumber: phoneStr,
-            amountMB,
-            status: 'completed',
-            note: transfer.note,
-            transferDate: transfer.createdAt,
-            providerMessage: apiResult.message
-          },
-          senderNewBalance: updatedSender.ishareBalance
-        });
-
-      } else {
-        // API call failed - update transfer status with failure reason
-        transfer.status = 'failed';
-        transfer.failureReason = apiResult.message || 'Provider API call failed';
-        await transfer.save();
-
-        // Create failed transaction record (no balance deduction)
-        const failedTransaction = new Transaction({
-          user: req.user._id,
-          type: 'transfer_failed',
-          amount: 0,
-          method: 'web',
-          ishareTransfer: transfer._id,
-          description: `Failed to send ${amountMB}MB to ${phoneStr} - ${transfer.failureReason}`
-        });
-
-        await failedTransaction.save();
-
-        res.status(400).json({
-          error: 'Transfer failed',
-          message: apiResult.message || 'Provider API call failed',
-          transfer: {
-            id: transfer._id,
-            transactionId: transactionId,
-            recipientPhoneNumber: phoneStr,
-            amountMB,
-            status: 'failed',
-            note: transfer.note,
-            failureReason: transfer.failureReason,
-            transferDate: transfer.createdAt
-          },
-          senderBalance: req.user.ishareBalance
-        });
-      }
-
-    } catch (providerError) {
-      console.error('Provider API Error Details:', {
-        message: providerError.message,
-        stack: providerError.stack,
-        phoneNumber: phoneStr,
-        amountMB,
-        transactionId
+      return res.status(202).json({
+        message: 'Transfer queued for delivery',
+        transfer: {
+          id: transfer._id,
+          transactionId: transactionId,
+          recipientPhoneNumber: transfer.recipientPhoneNumber,
+          amountMB,
+          status: transfer.status,
+          note: transfer.note,
+          transferDate: transfer.createdAt
+        },
+        statusUrl: `${req.baseUrl}/transfer/status/${transactionId}`,
+        senderBalance: outcome.wallet && outcome.wallet.availableBalance
       });
+    }
 
-      // Provider API error - update transfer status
-      transfer.status = 'failed';
-      transfer.failureReason = providerError.message || 'Provider service unavailable';
-      await transfer.save();
-
-      // Create error transaction record
-      const errorTransaction = new Transaction({
-        user: req.user._id,
-        type: 'transfer_error',
-        amount: 0,
-        method: 'web',
-        ishareTransfer: transfer._id,
-        description: `Transfer error for ${amountMB}MB to ${phoneStr} - ${transfer.failureReason}`
+    if (outcome.status === 'completed') {
+      return res.status(200).json({
+        message: 'ISHARE sent successfully',
+        transfer: {
+          id: transfer._id,
+          transactionId: transactionId,
+          systemTransactionId: transfer.systemTransactionId,
+          vendorTransactionId: transfer.vendorTransactionId,
+          recipientPhoneNumber: transfer.recipientPhoneNumber,
+          amountMB,
+          status: transfer.status,
+          note: transfer.note,
+          transferDate: transfer.createdAt,
+          providerMessage: outcome.apiResult.message
+        },
+        senderNewBalance: outcome.wallet && outcome.wallet.ishareBalance,
+        senderAvailableBalance: outcome.wallet && outcome.wallet.availableBalance
       });
+    }
 
-      await errorTransaction.save();
-
-      // Check if it's a phone number formatting error
-      if (providerError.message.includes('Invalid phone number format')) {
-        res.status(400).json({
-          error: 'Invalid phone number format',
-          message: 'The phone number could not be processed. Please ensure it is a valid 10-digit Ghana mobile number.',
-          details: providerError.message,
-          debugging: {
-            originalInput: phoneNumber,
-            processedInput: phoneStr,
-            inputType: typeof phoneNumber,
-            inputLength: phoneStr.length
-          },
-          transfer: {
-            id: transfer._id,
-            transactionId: transactionId,
-            recipientPhoneNumber: phoneStr,
-            amountMB,
-            status: 'failed',
-            note: transfer.note,
-            failureReason: transfer.failureReason,
-            transferDate: transfer.createdAt
-          },
-          senderBalance: req.user.ishareBalance
-        });
-      } else {
-        res.status(500).json({
-          error: 'Transfer failed due to provider service error',
-          message: 'Unable to connect to provider service. Please try again later.',
-          transfer: {
-            id: transfer._id,
-            transactionId: transactionId,
-            recipientPhoneNumber: phoneStr,
-            amountMB,
-            status: 'failed',
-            note: transfer.note,
-            failureReason: transfer.failureReason,
-            transferDate: transfer.createdAt
-          },
-          senderBalance: req.user.ishareBalance
-        });
-      }
+    const transferDetails = {
+      id: transfer._id,
+      transactionId: transactionId,
+      recipientPhoneNumber: transfer.recipientPhoneNumber,
+      amountMB,
+      status: transfer.status,
+      note: transfer.note,
+      failureReason: transfer.failureReason,
+      transferDate: transfer.createdAt
+    };
+
+    // Provider timed out - the MB stays on hold until the resolution worker confirms the outcome
+    if (outcome.status === 'unknown') {
+      return res.status(202).json({
+        message: 'Transfer submitted. Delivery is being confirmed with the provider.',
+        transfer: transferDetails,
+        senderBalance: outcome.wallet && outcome.wallet.availableBalance
+      });
     }
 
+    // Provider declined ('failed') or could not be reached ('error') - the hold was released
+    sendProviderError(res, outcome.error, {
+      transfer: transferDetails,
+      senderBalance: outcome.wallet && outcome.wallet.availableBalance
+    });
+
   } catch (error) {
     console.error('Transfer Route Error:', {
       message: error.message,
@@ -1063,8 +955,8 @@ router.get('/transfer/status/:transactionId', authenticate, async (req, res) =>
     // If transaction was successful, optionally check with provider for real-time status
     if (transfer.status === 'completed') {
       try {
-        const iShareService = require('../../Services/Ishare');
-        const statusResult = await iShareService.checkTransactionStatus(transactionId);
+        const provider = providerRouter.adapterFor(transfer);
+        const statusResult = await resilienceService.call(provider, 'checkTransactionStatus', [transactionId]);
 
         res.json({
           success: true,
@@ -1096,10 +988,7 @@ router.get('/transfer/status/:transactionId', authenticate, async (req, res) =>
             createdAt: transfer.createdAt,
             systemTransactionId: transfer.systemTransactionId,
             vendorTransactionId: transfer.vendorTransactionId,
-            providerStatus: {
-              error: 'Could not check provider status',
-              message: providerError.message
-            }
+            providerStatus: ProviderError.from(providerError, transfer.provider).toResponse()
           }
         });
       }
@@ -1131,7 +1020,7 @@ router.get('/transfer/status/:transactionId', authenticate, async (req, res) =>
 // ==================== USAGE ROUTES ====================
 
 // Use ISHARE Data
-router.post('/use-data', authenticate, async (req, res) => {
+router.post('/use-data', authenticate, idempotency, async (req, res) => {
   try {
     const { amount } = req.body; // Amount in MB
 
@@ -1139,37 +1028,32 @@ router.post('/use-data', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Invalid amount' });
     }
 
-    // Check if user has enough balance
-    if (req.user.ishareBalance < amount) {
+    // Deduct from the available balance (fails if pending transfers hold too much)
+    const usage = await walletService.debit({
+      userId: req.user._id,
+      amountMB: amount,
+      type: 'data_usage',
+      method: 'web',
+      description: `Used ${amount}MB of data`
+    });
+
+    if (!usage) {
       return res.status(400).json({ 
         error: 'Insufficient balance',
-        available: req.user.ishareBalance,
+        available: req.user.availableBalance,
+        held: req.user.heldBalance,
         requested: amount
       });
     }
 
-    // Deduct from balance
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      { $inc: { ishareBalance: -amount } },
-      { new: true }
-    );
-
-    // Create transaction
-    const transaction = new Transaction({
-      user: req.user._id,
-      type: 'data_usage',
-      amount: amount,
-      method: 'web',
-      description: `Used ${amount}MB of data`
-    });
-
-    await transaction.save();
+    markReserved(res);
+    const updatedUser = usage.user;
 
     res.json({
       message: 'Data usage recorded',
       usedAmount: amount,
-      remainingBalance: updatedUser.ishareBalance
+      remainingBalance: updatedUser.ishareBalance,
+      availableBalance: updatedUser.availableBalance
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1,5 +1,22 @@
 // models/Schema.js (Updated)
 const mongoose = require('mongoose');
+const msisdn = require('../Services/Msisdn');
+
+// Phone numbers are stored in E.164 (+233XXXXXXXXX). Any accepted input form is
+// normalized on assignment (and in query filters); the validator says why anything else was rejected.
+const phoneNumberField = (options = {}) => ({
+  type: String,
+  required: true,
+  set: (value) => {
+    const parsed = msisdn.check(value);
+    return parsed.valid ? parsed.e164 : value;
+  },
+  validate: {
+    validator: (value) => msisdn.isValid(value),
+    message: (props) => msisdn.check(props.value).message
+  },
+  ...options
+});
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -17,41 +34,43 @@ const userSchema = new mongoose.Schema({
     required: true
   },
   // Phone number is required for all users
-  phoneNumber: {
-    type: String,
-    required: true,
-    unique: true,
-    validate: {
-      validator: function(v) {
-        // Allow 9-10 digits (Ghana local formats)
-        const digitsOnly = String(v).replace(/\D/g, '');
-        return /^\d{9,10}$/.test(digitsOnly);
-      },
-      message: 'Phone number must be 9-10 digits (Ghana local format)'
-    }
-  },
+  phoneNumber: phoneNumberField({ unique: true }),
   role: {
     type: String,
     enum: ['buyer', 'developer', 'admin'],
     default: 'buyer'
   },
-  // API key available for all roles
+  // Legacy single plaintext key - moved into ApiKey (hashed) on first use, then cleared
   apiKey: {
     type: String,
     unique: true,
-    sparse: true
+    sparse: true,
+    select: false
   },
   ishareBalance: {
     type: Number,
     default: 0,
     min: 0
   },
+  // MB reserved by in-flight transfers (still part of ishareBalance)
+  heldBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isActive: {
     type: Boolean,
     default: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Spendable balance - total balance minus holds for pending transfers
+userSchema.virtual('availableBalance').get(function() {
+  return (this.ishareBalance || 0) - (this.heldBalance || 0);
 });
 
 // ISHARE Load Schema (for tracking loads by admin)
@@ -94,18 +113,7 @@ const ishareTransferSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  recipientPhoneNumber: {
-    type: String,
-    required: true,
-    validate: {
-      validator: function(v) {
-        // Allow 9-10 digits (Ghana local formats)
-        const digitsOnly = String(v).replace(/\D/g, '');
-        return /^\d{9,10}$/.test(digitsOnly);
-      },
-      message: 'Recipient phone number must be 9-10 digits (Ghana local format)'
-    }
-  },
+  recipientPhoneNumber: phoneNumberField(),
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User' // Will be null if recipient doesn't have an account
@@ -117,9 +125,22 @@ const ishareTransferSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['completed', 'failed', 'pending'],
+    // 'unknown' - the provider call timed out and may or may not have delivered
+    enum: ['completed', 'failed', 'pending', 'unknown'],
     default: 'pending'
   },
+  method: {
+    type: String,
+    enum: ['web', 'api'],
+    default: 'web'
+  },
+  provider: {
+    type: String, // Provider adapter id the transfer was routed to
+    default: 'ishare'
+  },
+  network: {
+    type: String // Recipient network detected from the number prefix
+  },
   note: {
     type: String,
     maxlength: 200
@@ -145,6 +166,65 @@ const ishareTransferSchema = new mongoose.Schema({
   // Provider response details
   providerResponse: {
     type: mongoose.Schema.Types.Mixed // Store full provider response for debugging
+  },
+  // Resolution worker tracking for pending/unknown transfers
+  resolutionAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextResolutionAt: {
+    type: Date
+  },
+  lastResolutionResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  escalatedAt: {
+    type: Date // Still unresolved after the deadline - needs an admin
+  },
+  // Set while a delivery is in flight - the resolution worker leaves the transfer alone
+  deliveringUntil: {
+    type: Date
+  },
+  // Delivery is owned by the transfer queue until its job finishes
+  queued: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the transfer was submitted as one item of a batch
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TransferBatch'
+  },
+  clientReference: {
+    type: String, // Client's id for the batch item
+    maxlength: 100
+  },
+  // Set when an admin settled a pending/unknown transfer by hand
+  manualResolution: {
+    reason: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  // Admin reversal of a completed transfer, or refund of a failed one - at most one per transfer
+  reversal: {
+    type: {
+      type: String,
+      enum: ['transfer_reversed', 'refund']
+    },
+    amountMB: Number,
+    reason: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reversedAt: Date
   }
 }, {
   timestamps: true
@@ -166,7 +246,10 @@ const transactionSchema = new mongoose.Schema({
       'transfer_sent', 
       'transfer_received', 
       'transfer_failed',
-      'transfer_error'
+      'transfer_error',
+      'transfer_reversed',
+      'refund',
+      'reconciliation_adjustment'
     ],
     required: true
   },
@@ -191,6 +274,10 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User' // Admin who performed the action (for loads)
   },
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction' // Original transaction undone by a transfer_reversed or refund
+  },
   description: {
     type: String,
     default: ''
@@ -203,6 +290,683 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Journal line - one side of a double-entry posting
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String, // 'wallet:<userId>', 'dealer_float', 'suspense' or 'write_off'
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Set on wallet lines
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// Journal Entry Schema (double-entry ledger behind Transaction and User.ishareBalance)
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'opening_balance',
+      'admin_load',
+      'admin_debit',
+      'data_usage',
+      'transfer_sent',
+      'transfer_reversed',
+      'refund',
+      'reconciliation_adjustment'
+    ],
+    required: true
+  },
+  lines: {
+    type: [journalLineSchema],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  ishareLoad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IshareLoad'
+  },
+  ishareTransfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IshareTransfer'
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin who posted it, if any
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Every entry must balance - total debits equal total credits
+journalEntrySchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+
+  if (this.lines.length < 2 || debits !== credits || debits === 0) {
+    return next(new Error(`Unbalanced journal entry: debits ${debits}, credits ${credits}`));
+  }
+
+  next();
+});
+
+// Reconciliation Run Schema (wallet-vs-history drift reports)
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin who started a manual run
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  driftCount: {
+    type: Number,
+    default: 0
+  },
+  totalDrift: {
+    type: Number, // Sum of absolute drift in MB
+    default: 0
+  },
+  // Only users with drift or findings are stored
+  results: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    walletBalance: Number,
+    expectedBalance: Number,
+    drift: Number,
+    heldBalance: Number,
+    expectedHeld: Number,
+    findings: [mongoose.Schema.Types.Mixed],
+    _id: false
+  }],
+  error: {
+    type: String
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Provider Statement Schema (one per imported settlement/statement file)
+const providerStatementSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    default: ''
+  },
+  checksum: {
+    type: String, // SHA-256 of the file - the same file imported twice reuses this record
+    required: true,
+    unique: true
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  importCount: {
+    type: Number,
+    default: 1
+  },
+  lastImportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date
+  },
+  lineCount: {
+    type: Number,
+    default: 0
+  },
+  newLines: {
+    type: Number, // Lines not already seen in an earlier import
+    default: 0
+  },
+  summary: {
+    matched: { type: Number, default: 0 },
+    unknownToUs: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    statusMismatch: { type: Number, default: 0 },
+    missingFromProvider: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Provider Statement Line Schema (one per provider charge, however many files it appears in)
+const providerStatementLineSchema = new mongoose.Schema({
+  lineKey: {
+    type: String, // Provider-side identity of the charge - dedupes re-imports
+    required: true,
+    unique: true
+  },
+  statements: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProviderStatement'
+  }],
+  externalTransactionId: String,
+  systemTransactionId: String,
+  vendorTransactionId: String,
+  recipientMsisdn: String,
+  amountMB: Number,
+  providerStatus: String,
+  chargedAt: Date,
+  raw: {
+    type: mongoose.Schema.Types.Mixed // Original CSV row
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IshareTransfer'
+  },
+  matchStatus: {
+    type: String,
+    // status_mismatch - provider charged a transfer we have as failed/pending
+    enum: ['matched', 'unknown_to_us', 'amount_mismatch', 'status_mismatch'],
+    required: true
+  },
+  expectedAmountMB: {
+    type: Number // Our amount when it differs from the provider's
+  }
+}, {
+  timestamps: true
+});
+
+// Setting Schema (admin-editable runtime configuration, one document per key)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Provider Call Schema (journal of every provider API request, credentials redacted)
+const providerCallSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  operation: {
+    type: String, // SOAP operation, e.g. 'FlexiIshareBundle'
+    required: true
+  },
+  transactionId: {
+    type: String // Our externalTransactionId, for transfer and status calls
+  },
+  ishareTransfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IshareTransfer'
+  },
+  endpoint: {
+    type: String
+  },
+  httpStatus: {
+    type: Number
+  },
+  latencyMs: {
+    type: Number
+  },
+  responseCode: {
+    type: String // Parsed provider code, e.g. '200', '319'
+  },
+  success: {
+    type: Boolean
+  },
+  message: {
+    type: String
+  },
+  error: {
+    type: String // Transport or parse error, if any
+  },
+  errorCode: {
+    type: String // e.g. 'ETIMEDOUT'
+  },
+  fault: {
+    type: mongoose.Schema.Types.Mixed // SOAP Fault code and reason
+  },
+  requestBody: {
+    type: String // Redacted
+  },
+  responseBody: {
+    type: String // Redacted and truncated
+  }
+}, {
+  timestamps: true
+});
+
+// Provider Credential Schema (versioned provider logins, password encrypted at rest)
+const providerCredentialSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'retired'],
+    default: 'pending'
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  dealerMsisdn: {
+    type: String
+  },
+  // AES-256-GCM 'iv:tag:ciphertext' (hex) - never returned by default
+  encryptedPassword: {
+    type: String,
+    required: true,
+    select: false
+  },
+  lastTest: {
+    success: Boolean,
+    responseCode: String,
+    message: String,
+    testedAt: Date,
+    testedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: {
+    type: Date
+  },
+  retiredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Dealer Stock Snapshot Schema (dealer balance history, recorded by the float refresh)
+const dealerStockSnapshotSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  balanceMB: {
+    type: Number,
+    required: true
+  },
+  outstandingMB: {
+    type: Number, // Committed to in-flight transfers when the snapshot was taken
+    default: 0
+  },
+  expiresAt: {
+    type: Date // Parsed from the provider's ExpireTime
+  },
+  rawExpireTime: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Transfer Job Schema (durable outbound delivery queue, one job per queued transfer)
+const transferJobSchema = new mongoose.Schema({
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IshareTransfer',
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'done', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker processing the job - reclaimed once it lapses
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  outcome: {
+    type: String // Transfer pipeline status, e.g. 'completed', 'failed', 'unknown'
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Transfer Batch Schema (many transfers reserved together; outcomes live on the transfers)
+const transferBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reference: {
+    type: String, // Client's id for the whole batch
+    maxlength: 100
+  },
+  itemCount: {
+    type: Number,
+    required: true
+  },
+  totalMB: {
+    type: Number,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['web', 'api'],
+    default: 'api'
+  }
+}, {
+  timestamps: true
+});
+
+// API Key Schema (named, scoped developer API keys - only a hash of the key is stored)
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Start of the key, kept so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String, // SHA-256 of the full key
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: ['read', 'transfer', 'use-data', 'admin']
+  }],
+  // HMAC secret for signed requests. Kept readable (unlike the key) because the server
+  // recomputes signatures with it; on its own it cannot authenticate a request.
+  signingSecret: {
+    type: String,
+    select: false
+  },
+  requireSignature: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// API Nonce Schema (nonces of signed API requests, kept until their timestamp goes stale)
+const apiNonceSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Webhook Endpoint Schema (user-registered receivers for transfer and wallet events)
+const webhookEndpointSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: [{
+    type: String,
+    enum: ['transfer.completed', 'transfer.failed', 'transfer.reversed', 'balance.credited', 'balance.low']
+  }],
+  // HMAC-SHA256 signing key - shown once when the endpoint is created or the secret rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String
+  },
+  // balance.low fires when the available balance drops below this
+  lowBalanceThresholdMB: {
+    type: Number,
+    default: 1024,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Webhook Delivery Schema (one event sent to one endpoint, with every attempt logged)
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String, // Shared by every delivery of the same event, resends included
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // Request body exactly as signed and sent
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date
+  },
+  log: [{
+    at: Date,
+    httpStatus: Number,
+    latencyMs: Number,
+    error: String
+  }],
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+// Idempotency Key Schema (replay protection for money-moving requests)
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String, // Client-supplied Idempotency-Key header
+    required: true,
+    maxlength: 255
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String, // SHA-256 of method, path and body
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  reserved: {
+    type: Boolean, // The request moved money - never processed a second time
+    default: false
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseType: {
+    type: String // Content-Type of the stored body
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed // Sent body as text (older records hold the JSON value)
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
 // Indexes for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ phoneNumber: 1 });
@@ -212,22 +976,95 @@ ishareTransferSchema.index({ sender: 1, createdAt: -1 });
 ishareTransferSchema.index({ recipient: 1, createdAt: -1 });
 ishareTransferSchema.index({ externalTransactionId: 1 });
 ishareTransferSchema.index({ status: 1 });
+ishareTransferSchema.index({ status: 1, nextResolutionAt: 1 });
+ishareTransferSchema.index({ batch: 1 }, { sparse: true });
 
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, createdAt: -1 });
+transactionSchema.index({ ishareTransfer: 1 });
 
 ishareLoadSchema.index({ user: 1, createdAt: -1 });
 ishareLoadSchema.index({ loadedBy: 1, createdAt: -1 });
 
+journalEntrySchema.index({ 'lines.account': 1, createdAt: -1 });
+journalEntrySchema.index({ transaction: 1 });
+journalEntrySchema.index({ ishareTransfer: 1 });
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+providerCallSchema.index({ transactionId: 1, createdAt: -1 });
+providerCallSchema.index({ ishareTransfer: 1, createdAt: -1 });
+providerCallSchema.index({ operation: 1, createdAt: -1 });
+providerCallSchema.index({ createdAt: -1 });
+
+providerCredentialSchema.index({ provider: 1, version: 1 }, { unique: true });
+providerCredentialSchema.index({ provider: 1, status: 1 });
+
+dealerStockSnapshotSchema.index({ provider: 1, createdAt: -1 });
+dealerStockSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+transferJobSchema.index({ status: 1, availableAt: 1 });
+transferJobSchema.index({ status: 1, lockedUntil: 1 });
+transferJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+transferBatchSchema.index({ user: 1, createdAt: -1 });
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+apiNonceSchema.index({ apiKey: 1, nonce: 1 }, { unique: true });
+apiNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookEndpointSchema.index({ user: 1, isActive: 1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+providerStatementSchema.index({ createdAt: -1 });
+providerStatementLineSchema.index({ statements: 1, matchStatus: 1 });
+providerStatementLineSchema.index({ transfer: 1 });
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const IshareLoad = mongoose.model('IshareLoad', ishareLoadSchema);
 const IshareTransfer = mongoose.model('IshareTransfer', ishareTransferSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+const ProviderStatement = mongoose.model('ProviderStatement', providerStatementSchema);
+const ProviderStatementLine = mongoose.model('ProviderStatementLine', providerStatementLineSchema);
+const Setting = mongoose.model('Setting', settingSchema);
+const ProviderCall = mongoose.model('ProviderCall', providerCallSchema);
+const ProviderCredential = mongoose.model('ProviderCredential', providerCredentialSchema);
+const TransferJob = mongoose.model('TransferJob', transferJobSchema);
+const TransferBatch = mongoose.model('TransferBatch', transferBatchSchema);
+const DealerStockSnapshot = mongoose.model('DealerStockSnapshot', dealerStockSnapshotSchema);
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+const ApiNonce = mongoose.model('ApiNonce', apiNonceSchema);
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
 
 module.exports = {
   User,
   IshareLoad,
   IshareTransfer,
-  Transaction
+  Transaction,
+  JournalEntry,
+  ReconciliationRun,
+  IdempotencyKey,
+  ProviderStatement,
+  ProviderStatementLine,
+  Setting,
+  ProviderCall,
+  ProviderCredential,
+  TransferJob,
+  TransferBatch,
+  DealerStockSnapshot,
+  ApiKey,
+  ApiNonce,
+  WebhookEndpoint,
+  WebhookDelivery
 };
\ No newline at end of file
@@ -6,10 +6,16 @@ const cors = require('cors');
 const ConnectDB = require('./Connection/connection');
 const { errorHandler, logger } = require('./MiddleWare/Middle');
 const AdminRoutes = require("./Routes/AdminRoutes/Admin")
+const reconciliationService = require('./Services/Reconciliation');
+const transferResolver = require('./Services/TransferResolver');
+const dealerFloatService = require('./Services/DealerFloat');
+const transferQueue = require('./Services/TransferQueue');
+const webhookService = require('./Services/Webhooks');
 
 // Import route files
 const userRoutes = require('./Routes/WebLogicRoutes/WebLogic');
 const apiRoutes = require('./Routes/ApiLogic/api');
+const openapi = require('./Routes/ApiLogic/openapi');
 const app = express();
 
 // Connect to Database
@@ -23,8 +29,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body - signed API requests are verified against its exact bytes
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 app.use(logger); // Request logging middleware
 
 // Health check endpoint
@@ -44,28 +55,23 @@ app.get('/', (req, res) => {
         'POST /api/v1/auth/register - User registration',
         'POST /api/v1/auth/login - User login',
         'GET /api/v1/user/profile - Get user profile',
+        'PUT /api/v1/user/profile - Update user profile',
         'GET /api/v1/user/balance - Check balance',
-        'GET /api/v1/ishare - Get pricing info',
-        'POST /api/v1/ishare/calculate-price - Calculate price',
-        'POST /api/v1/purchase - Purchase ISHARE data',
-        'GET /api/v1/purchases - Purchase history',
-        'POST /api/v1/use-data - Use data',
-        'POST /api/v1/admin/ishare - Create pricing (Admin)',
-        'GET /api/v1/admin/ishare - Get all pricing (Admin)',
-        'PUT /api/v1/admin/ishare/:id - Update pricing (Admin)'
+        'GET /api/v1/user/api-keys - List API keys',
+        'POST /api/v1/user/api-keys - Create an API key',
+        'PUT /api/v1/user/api-keys/:id - Require signed requests for a key',
+        'POST /api/v1/user/api-keys/:id/rotate-signing-secret - New signing secret for a key',
+        'DELETE /api/v1/user/api-keys/:id - Revoke an API key',
+        'POST /api/v1/transfer/send - Send ISHARE to a phone number',
+        'GET /api/v1/transfers - Transfer history',
+        'GET /api/v1/transfer/status/:transactionId - Transfer status',
+        'POST /api/v1/use-data - Use data'
       ],
-      api_routes: [
-        'GET /api/v1/dev/status - API status',
-        'GET /api/v1/dev/bundles - Get pricing',
-        'POST /api/v1/dev/calculate-price - Calculate price',
-        'POST /api/v1/dev/create-user - Create user',
-        'GET /api/v1/dev/users - Get all users',
-        'GET /api/v1/dev/user/:userId - Get specific user',
-        'POST /api/v1/dev/purchase - Purchase for user',
-        'POST /api/v1/dev/use-data - Record data usage',
-        'POST /api/v1/dev/bulk-balance - Check multiple balances',
-        'GET /api/v1/dev/stats - Developer statistics'
-      ]
+      api_reference: 'GET /api/v1/dev/openapi.json',
+      // Listed from the OpenAPI document so this cannot go stale
+      api_routes: Object.entries(openapi.paths).flatMap(([path, item]) => Object.entries(item)
+        .map(([method, operation]) => `${method.toUpperCase()} /api/v1/dev${path} - ${operation.summary}`)),
+      admin_routes: '/api/v1/admin/*'
     }
   });
 });
@@ -101,6 +107,15 @@ const server = app.listen(PORT, () => {
   console.log(`🔌 API Routes: http://localhost:${PORT}/api/v1/dev`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log('🎉 ================================\n');
+
+  // Background jobs
+  reconciliationService.schedule();
+  transferResolver.start();
+  transferQueue.start();
+  webhookService.start();
+  dealerFloatService.schedule().catch(error => {
+    console.error('Failed to schedule dealer float refresh:', error.message);
+  });
 });
 
 // Handle unhandled promise rejections
@@ -122,6 +137,8 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM received. Shutting down gracefully...');
+  transferQueue.stop();
+  webhookService.stop();
   server.close(() => {
     console.log('✅ Process terminated');
   });
@@ -0,0 +1,288 @@
+// services/ApiKeys.js - Named, scoped developer API keys
+//
+// A user can hold several keys, each with its own scopes, optional expiry and
+// revocation. Only a SHA-256 hash of a key is stored; the key itself is returned once,
+// by create(). Scopes:
+//
+//   read       profile, balance, history, transfer status, webhook delivery logs
+//   transfer   send transfers
+//   use-data   record data usage
+//   admin      manage the account's API keys and webhooks; system-wide stats for admin users
+//
+// Keys from before this existed (User.apiKey, plaintext) keep working: the first time one
+// is used it is moved into a hashed key with the default scopes - admin has to be granted
+// again - and cleared from the user. Migrations/hash-legacy-api-keys.js moves the rest.
+//
+// Signed requests. Each key also has a signing secret. A client may sign a request - and
+// must, once the key has requireSignature set - by sending
+//
+//   X-Ishare-Timestamp    unix seconds
+//   X-Ishare-Nonce        16-128 of [A-Za-z0-9_-], never reused with the same key
+//   X-Ishare-Signature    sha256=<hex HMAC-SHA256 under the signing secret of:
+//                           METHOD \n path with query \n hex SHA-256 of raw body \n timestamp \n nonce>
+//
+// Timestamps more than API_SIGNATURE_MAX_SKEW_SECONDS from server time are refused, and a
+// nonce is remembered until its timestamp would be refused anyway, so a captured request
+// cannot be replayed.
+const crypto = require('crypto');
+const { ApiKey, ApiNonce, User } = require('../Schema/Schema');
+
+const SCOPES = ['read', 'transfer', 'use-data', 'admin'];
+const DEFAULT_SCOPES = ['read', 'transfer', 'use-data'];
+const KEY_PREFIX = 'ishk_';
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEYS_PER_USER) || 20;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const MAX_SKEW_SECONDS = parseInt(process.env.API_SIGNATURE_MAX_SKEW_SECONDS) || 300;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const hash = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const generateSigningSecret = () => `ishs_${crypto.randomBytes(32).toString('hex')}`;
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.defaultScopes = DEFAULT_SCOPES;
+    this.maxSkewSeconds = MAX_SKEW_SECONDS;
+  }
+
+  isActive(apiKey) {
+    return !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date());
+  }
+
+  // Safe view of a key - never includes the hash or signing secret
+  describe(apiKey) {
+    const view = apiKey.toObject ? apiKey.toObject() : { ...apiKey };
+    delete view.keyHash;
+    delete view.signingSecret;
+    return { ...view, active: this.isActive(apiKey) };
+  }
+
+  // Problems with requested scopes / expiry, or null
+  validate({ scopes, expiresAt }) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+
+    if (unknown.length) {
+      return `Unknown scopes: ${unknown.join(', ')}. Supported: ${SCOPES.join(', ')}`;
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        return 'expiresAt must be a date in the future';
+      }
+    }
+
+    return null;
+  }
+
+  // Resolves to { apiKey, key, signingSecret } - the only time the key and secret are available
+  async create(userId, { name, scopes = DEFAULT_SCOPES, expiresAt, requireSignature = false }, createdBy = userId) {
+    const problem = this.validate({ scopes, expiresAt });
+
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const active = await ApiKey.countDocuments({
+      user: userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (active >= MAX_ACTIVE_KEYS) {
+      throw new Error(`At most ${MAX_ACTIVE_KEYS} active API keys per account - revoke one first`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const signingSecret = generateSigningSecret();
+
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name: name || 'API key',
+      prefix: key.substring(0, KEY_PREFIX.length + 8),
+      keyHash: hash(key),
+      scopes: [...new Set(scopes)],
+      signingSecret,
+      requireSignature: Boolean(requireSignature),
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      createdBy
+    });
+
+    return { apiKey: this.describe(apiKey), key, signingSecret };
+  }
+
+  async list(userId) {
+    const keys = await ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+    return keys.map(apiKey => this.describe(apiKey));
+  }
+
+  // Resolves to the revoked key, or null if the user has no such key
+  async revoke(userId, keyId, revokedBy = userId) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy },
+      { new: true }
+    );
+
+    if (apiKey) {
+      return this.describe(apiKey);
+    }
+
+    const existing = await ApiKey.findOne({ _id: keyId, user: userId });
+    return existing ? this.describe(existing) : null;
+  }
+
+  // Turn required signing on or off. Resolves to the key, or null if the user has no such active key.
+  async setRequireSignature(userId, keyId, requireSignature) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, user: userId, revokedAt: null }).select('+signingSecret');
+
+    if (!apiKey) {
+      return null;
+    }
+
+    if (requireSignature && !apiKey.signingSecret) {
+      throw new Error('This key has no signing secret yet - rotate its signing secret first');
+    }
+
+    apiKey.requireSignature = Boolean(requireSignature);
+    await apiKey.save();
+
+    return this.describe(apiKey);
+  }
+
+  // Replace a key's signing secret - requests signed with the old one stop verifying at once.
+  // Resolves to { apiKey, signingSecret }, or null if the user has no such active key.
+  async rotateSigningSecret(userId, keyId) {
+    const signingSecret = generateSigningSecret();
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: null },
+      { signingSecret },
+      { new: true }
+    );
+
+    return apiKey ? { apiKey: this.describe(apiKey), signingSecret } : null;
+  }
+
+  // The string a client signs
+  canonicalRequest({ method, path, body, timestamp, nonce }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [String(method).toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+  }
+
+  sign(signingSecret, request) {
+    return `sha256=${crypto.createHmac('sha256', signingSecret).update(this.canonicalRequest(request)).digest('hex')}`;
+  }
+
+  // Check a request's signature and burn its nonce. `apiKey` must carry +signingSecret.
+  // Resolves to { error } when the request must be refused, else {}.
+  async verifyRequest(apiKey, { method, path, body, timestamp, nonce, signature }) {
+    if (!apiKey.signingSecret) {
+      return { error: 'This API key has no signing secret - rotate its signing secret before signing requests.' };
+    }
+
+    if (!timestamp || !nonce || !signature) {
+      return { error: 'Signed requests need X-Ishare-Timestamp, X-Ishare-Nonce and X-Ishare-Signature headers.' };
+    }
+
+    const seconds = Number(timestamp);
+
+    if (!/^\d+$/.test(String(timestamp)) || Math.abs(Date.now() / 1000 - seconds) > MAX_SKEW_SECONDS) {
+      return { error: `Request timestamp is missing, malformed or more than ${MAX_SKEW_SECONDS}s from server time.` };
+    }
+
+    if (!NONCE_PATTERN.test(nonce)) {
+      return { error: 'X-Ishare-Nonce must be 16-128 characters of A-Z, a-z, 0-9, _ or -.' };
+    }
+
+    const expected = Buffer.from(this.sign(apiKey.signingSecret, { method, path, body, timestamp, nonce }));
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { error: 'Request signature does not match.' };
+    }
+
+    try {
+      await ApiNonce.create({
+        apiKey: apiKey._id,
+        nonce,
+        expiresAt: new Date((seconds + MAX_SKEW_SECONDS) * 1000 + 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: 'Nonce has already been used - this looks like a replayed request.' };
+      }
+
+      throw error;
+    }
+
+    return {};
+  }
+
+  // Move a legacy plaintext User.apiKey into a hashed key with the default scopes
+  async adoptLegacy(user, key) {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { keyHash: hash(key) },
+      {
+        $setOnInsert: {
+          user: user._id,
+          name: 'Legacy key',
+          prefix: String(key).substring(0, 8),
+          scopes: DEFAULT_SCOPES, // admin must be granted explicitly
+          createdBy: user._id
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await User.updateOne({ _id: user._id }, { $unset: { apiKey: 1 } });
+    console.log(`🔑 Moved legacy API key of user ${user._id} into hashed key ${apiKey._id}`);
+
+    return apiKey;
+  }
+
+  // Resolves to { apiKey, user } or { error } - the error text is safe to return
+  async authenticate(key, ip) {
+    let apiKey = await ApiKey.findOne({ keyHash: hash(key) }).select('+signingSecret');
+
+    if (!apiKey) {
+      const legacyUser = await User.findOne({ apiKey: key }).select('+apiKey');
+
+      if (!legacyUser) {
+        return { error: 'Invalid API key.' };
+      }
+
+      apiKey = await this.adoptLegacy(legacyUser, key);
+    }
+
+    if (apiKey.revokedAt) {
+      return { error: 'API key has been revoked.' };
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return { error: 'API key has expired.' };
+    }
+
+    const user = await User.findOne({ _id: apiKey.user, isActive: true }).select('-password');
+
+    if (!user) {
+      return { error: 'Invalid API key.' };
+    }
+
+    // Record use at most once a minute per key
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip }).catch(error => {
+        console.error(`Could not record use of API key ${apiKey._id}:`, error.message);
+      });
+    }
+
+    return { apiKey, user };
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,246 @@
+// services/DealerFloat.js - Dealer stock guard for outgoing transfers
+//
+// The provider answers code 319 ("No balance") once the dealer MSISDN runs dry, by
+// which time the customer has already been told the transfer is on its way. We keep
+// a cached copy of each provider's dealer balance, subtract what is already committed
+// to in-flight transfers, and refuse new transfers that would take the float below
+// the admin-configured minimum.
+const { IshareTransfer, Setting } = require('../Schema/Schema');
+const providerRouter = require('./ProviderRouter');
+const resilienceService = require('./Resilience');
+const dealerStockService = require('./DealerStock');
+
+const SETTING_KEY = 'dealer_float';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  minimumFloatMB: parseInt(process.env.DEALER_FLOAT_MINIMUM_MB) || 0,
+  lowFloatAlertMB: parseInt(process.env.DEALER_FLOAT_ALERT_MB) || 10240,
+  refreshIntervalMinutes: parseInt(process.env.DEALER_FLOAT_REFRESH_MINUTES) || 5,
+  maxCacheAgeMinutes: 15,
+  // Days purchasing needs between ordering stock and it landing on the dealer MSISDN
+  reorderLeadDays: parseInt(process.env.DEALER_REORDER_LEAD_DAYS) || 3
+};
+
+class DealerFloatService {
+  constructor() {
+    this.timer = null;
+    this.settings = null;
+    this.caches = new Map();
+    this.refreshing = new Map();
+  }
+
+  cacheFor(providerId) {
+    if (!this.caches.has(providerId)) {
+      this.caches.set(providerId, {
+        balance: null,
+        expireTime: null,
+        checkedAt: null,
+        error: null
+      });
+    }
+
+    return this.caches.get(providerId);
+  }
+
+  async config() {
+    if (!this.settings) {
+      const setting = await Setting.findOne({ key: SETTING_KEY });
+      this.settings = { ...DEFAULT_CONFIG, ...(setting ? setting.value : {}) };
+    }
+
+    return this.settings;
+  }
+
+  async updateConfig(changes, updatedBy) {
+    const current = await this.config();
+    const value = { ...current, ...changes };
+
+    await Setting.findOneAndUpdate(
+      { key: SETTING_KEY },
+      { value, updatedBy },
+      { upsert: true, new: true }
+    );
+
+    this.settings = value;
+
+    // Pick up a new refresh interval straight away
+    if (this.timer && changes.refreshIntervalMinutes !== undefined) {
+      this.stop();
+      await this.schedule();
+    }
+
+    return value;
+  }
+
+  // Fetch a provider's dealer balance. Concurrent callers share one request.
+  async refresh(providerId = providerRouter.defaultProvider) {
+    if (this.refreshing.has(providerId)) {
+      return this.refreshing.get(providerId);
+    }
+
+    const cache = this.cacheFor(providerId);
+
+    const refreshing = (async () => {
+      try {
+        const adapter = providerRouter.get(providerId);
+
+        if (!adapter) {
+          throw new Error(`Provider "${providerId}" is not registered`);
+        }
+
+        const result = await resilienceService.call(adapter, 'checkBalance');
+
+        if (!result.success) {
+          throw new Error(result.message || `Provider returned code ${result.responseCode}`);
+        }
+
+        Object.assign(cache, {
+          balance: result.balance,
+          expireTime: result.expireTime,
+          checkedAt: new Date(),
+          error: null
+        });
+
+        const { lowFloatAlertMB } = await this.config();
+
+        if (result.balance <= lowFloatAlertMB) {
+          console.warn(`⚠️ Dealer float low on ${providerId}: ${result.balance}MB left (alert at ${lowFloatAlertMB}MB)`);
+        }
+
+        this.recordSnapshot(providerId).catch(error => {
+          console.error(`Dealer stock snapshot failed for ${providerId}:`, error.message);
+        });
+      } catch (error) {
+        console.error(`Dealer float refresh failed for ${providerId}:`, error.message);
+        cache.error = error.message;
+      } finally {
+        this.refreshing.delete(providerId);
+      }
+
+      return cache;
+    })();
+
+    this.refreshing.set(providerId, refreshing);
+    return refreshing;
+  }
+
+  // Keep the stock history and warn once the forecast says it is time to reorder
+  async recordSnapshot(providerId) {
+    const status = await this.status(providerId);
+    const snapshot = await dealerStockService.record(providerId, status);
+
+    if (!snapshot) {
+      return;
+    }
+
+    const forecast = await dealerStockService.forecast(status, status.config);
+
+    if (forecast.reorderNow) {
+      console.warn(`⚠️ Reorder dealer stock for ${providerId}: ${forecast.available}MB runs out by ${forecast.constraint} on ${forecast.runsOutAt.toISOString()}`);
+    }
+  }
+
+  // Refresh in the background once a transfer has settled
+  refreshAfterTransfer(providerId) {
+    this.refresh(providerId).catch(() => {});
+  }
+
+  // MB committed to a provider's transfers that its cached balance does not reflect yet
+  async outstanding(providerId) {
+    const { checkedAt } = this.cacheFor(providerId);
+    const conditions = [{ status: { $in: ['pending', 'unknown'] } }];
+
+    if (checkedAt) {
+      conditions.push({ status: 'completed', updatedAt: { $gt: checkedAt } });
+    }
+
+    // Transfers from before provider routing carry no provider and all went to the default
+    const provider = providerId === providerRouter.defaultProvider
+      ? { $in: [providerId, null] }
+      : providerId;
+
+    const [result] = await IshareTransfer.aggregate([
+      { $match: { provider, $or: conditions } },
+      { $group: { _id: null, total: { $sum: '$amountMB' } } }
+    ]);
+
+    return result ? result.total : 0;
+  }
+
+  async status(providerId = providerRouter.defaultProvider) {
+    const config = await this.config();
+    const cache = this.cacheFor(providerId);
+    const outstanding = await this.outstanding(providerId);
+    const available = cache.balance === null ? null : cache.balance - outstanding;
+
+    return {
+      provider: providerId,
+      ...cache,
+      outstanding,
+      available,
+      belowAlert: available !== null && available <= config.lowFloatAlertMB,
+      config
+    };
+  }
+
+  // Can the provider's float cover a new transfer? Fails open when the balance has never
+  // been fetched or the provider cannot be reached - the provider remains the final check.
+  async canTransfer(amountMB, providerId = providerRouter.defaultProvider) {
+    const config = await this.config();
+
+    if (!config.enabled) {
+      return { allowed: true };
+    }
+
+    const cache = this.cacheFor(providerId);
+    const maxAge = config.maxCacheAgeMinutes * 60 * 1000;
+
+    if (!cache.checkedAt || Date.now() - cache.checkedAt.getTime() > maxAge) {
+      await this.refresh(providerId);
+    }
+
+    if (cache.balance === null) {
+      return { allowed: true, unchecked: true };
+    }
+
+    const available = cache.balance - await this.outstanding(providerId);
+
+    if (available - amountMB < config.minimumFloatMB) {
+      console.warn(`🚫 Transfer of ${amountMB}MB refused: ${providerId} float ${available}MB, minimum ${config.minimumFloatMB}MB`);
+      return { allowed: false, available };
+    }
+
+    return { allowed: true, available };
+  }
+
+  refreshAll() {
+    for (const adapter of providerRouter.list()) {
+      this.refresh(adapter.id);
+    }
+  }
+
+  // Refresh every provider on a timer (refreshIntervalMinutes from the admin config)
+  async schedule() {
+    if (this.timer) {
+      return;
+    }
+
+    const { refreshIntervalMinutes } = await this.config();
+
+    this.timer = setInterval(() => {
+      this.refreshAll();
+    }, refreshIntervalMinutes * 60 * 1000);
+
+    this.timer.unref();
+    this.refreshAll();
+    console.log(`📦 Dealer float refresh every ${refreshIntervalMinutes} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new DealerFloatService();
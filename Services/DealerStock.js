@@ -0,0 +1,181 @@
+// services/DealerStock.js - Dealer stock history, burn rate and depletion forecast
+//
+// The dealer float refresh hands every successful balance check to record(), which keeps
+// at most one snapshot per provider every DEALER_STOCK_SNAPSHOT_MINUTES. Burn rate comes
+// from completed transfers; the forecast says when stock runs out or expires, whichever
+// comes first, and when purchasing has to reorder to stay ahead of it.
+const { IshareTransfer, DealerStockSnapshot } = require('../Schema/Schema');
+const providerRouter = require('./ProviderRouter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNAPSHOT_INTERVAL_MS = (parseInt(process.env.DEALER_STOCK_SNAPSHOT_MINUTES) || 15) * 60 * 1000;
+
+const roundDays = (days) => Math.round(days * 10) / 10;
+
+class DealerStockService {
+  constructor() {
+    this.lastSnapshotAt = new Map();
+  }
+
+  // Transfers from before provider routing carry no provider and all went to the default
+  providerMatch(providerId) {
+    return providerId === providerRouter.defaultProvider ? { $in: [providerId, null] } : providerId;
+  }
+
+  parseExpireTime(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Store a snapshot unless this provider had one recently. Resolves to the snapshot or null.
+  async record(providerId, { balance, expireTime, outstanding = 0 }) {
+    const last = this.lastSnapshotAt.get(providerId);
+
+    if (last && Date.now() - last < SNAPSHOT_INTERVAL_MS) {
+      return null;
+    }
+
+    this.lastSnapshotAt.set(providerId, Date.now());
+
+    return DealerStockSnapshot.create({
+      provider: providerId,
+      balanceMB: balance,
+      outstandingMB: outstanding,
+      expiresAt: this.parseExpireTime(expireTime),
+      rawExpireTime: expireTime || undefined
+    });
+  }
+
+  // Snapshots oldest first
+  async history(providerId, { from, to, limit = 500 } = {}) {
+    const query = { provider: providerId };
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const snapshots = await DealerStockSnapshot.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return snapshots.reverse();
+  }
+
+  // MB delivered per day by completed transfers over the last `days`
+  async burnRate(providerId, days) {
+    const [result] = await IshareTransfer.aggregate([
+      {
+        $match: {
+          provider: this.providerMatch(providerId),
+          status: 'completed',
+          createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }
+        }
+      },
+      { $group: { _id: null, totalMB: { $sum: '$amountMB' }, transfers: { $sum: 1 } } }
+    ]);
+
+    const totalMB = result ? result.totalMB : 0;
+
+    return {
+      days,
+      totalMB,
+      transfers: result ? result.transfers : 0,
+      dailyMB: Math.round(totalMB / days)
+    };
+  }
+
+  // Delivered MB per calendar day (UTC)
+  async dailyUsage(providerId, days = 30) {
+    return IshareTransfer.aggregate([
+      {
+        $match: {
+          provider: this.providerMatch(providerId),
+          status: 'completed',
+          createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          deliveredMB: { $sum: '$amountMB' },
+          transfers: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: '$_id', deliveredMB: 1, transfers: 1 } }
+    ]);
+  }
+
+  // When will the float run out or expire? `status` is DealerFloatService.status().
+  async forecast(status, { reorderLeadDays = 0 } = {}) {
+    const providerId = status.provider;
+
+    const [lastDay, lastWeek, latest] = await Promise.all([
+      this.burnRate(providerId, 1),
+      this.burnRate(providerId, 7),
+      DealerStockSnapshot.findOne({ provider: providerId }).sort({ createdAt: -1 })
+    ]);
+
+    // Plan on the busier of the two so a spike isn't averaged away
+    const dailyMB = Math.max(lastDay.dailyMB, lastWeek.dailyMB);
+    const burnRate = { dailyMB, lastDay, lastWeek };
+
+    if (status.available === null) {
+      return {
+        provider: providerId,
+        available: null,
+        burnRate,
+        message: 'Dealer balance has not been fetched yet'
+      };
+    }
+
+    const now = Date.now();
+    const available = Math.max(status.available, 0);
+    const expiresAt = this.parseExpireTime(status.expireTime) || (latest && latest.expiresAt) || null;
+
+    const daysUntilDepletion = dailyMB > 0 ? available / dailyMB : null;
+    const depletionAt = daysUntilDepletion !== null ? new Date(now + daysUntilDepletion * DAY_MS) : null;
+    const daysUntilExpiry = expiresAt ? (expiresAt.getTime() - now) / DAY_MS : null;
+
+    // Whichever comes first ends the usable stock
+    let constraint = null;
+    let runsOutAt = null;
+
+    if (depletionAt && (!expiresAt || depletionAt <= expiresAt)) {
+      constraint = 'depletion';
+      runsOutAt = depletionAt;
+    } else if (expiresAt) {
+      constraint = 'expiry';
+      runsOutAt = expiresAt;
+    }
+
+    const reorderBy = runsOutAt ? new Date(runsOutAt.getTime() - reorderLeadDays * DAY_MS) : null;
+
+    return {
+      provider: providerId,
+      balanceMB: status.balance,
+      outstandingMB: status.outstanding,
+      available,
+      burnRate,
+      depletionAt,
+      daysUntilDepletion: daysUntilDepletion !== null ? roundDays(daysUntilDepletion) : null,
+      expiresAt,
+      daysUntilExpiry: daysUntilExpiry !== null ? roundDays(daysUntilExpiry) : null,
+      // Stock still unused when it expires at the current burn rate
+      unusedAtExpiryMB: expiresAt ? Math.max(0, Math.round(available - dailyMB * Math.max(daysUntilExpiry, 0))) : null,
+      constraint,
+      runsOutAt,
+      reorderLeadDays,
+      reorderBy,
+      reorderNow: !!reorderBy && reorderBy.getTime() <= now
+    };
+  }
+}
+
+module.exports = new DealerStockService();
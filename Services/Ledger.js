@@ -0,0 +1,179 @@
+// services/Ledger.js - Double-entry journal for iShare MB
+//
+// Accounts:
+//   wallet:<userId>  - MB we owe a customer (credit-normal)
+//   dealer_float     - dealer stock committed to customer wallets (debit-normal)
+//   suspense         - MB whose destination is not yet known (debit-normal)
+//   write_off        - MB given away or written off by admins (debit-normal)
+//
+// Credits to a customer move MB from dealer_float into the wallet; transfers,
+// usage and admin debits move it back out. User.ishareBalance is a cached
+// copy of the wallet account and is verified against the journal.
+const mongoose = require('mongoose');
+const { User, JournalEntry } = require('../Schema/Schema');
+
+const ACCOUNTS = {
+  DEALER_FLOAT: 'dealer_float',
+  SUSPENSE: 'suspense',
+  WRITE_OFF: 'write_off'
+};
+
+class LedgerService {
+  constructor() {
+    this.accounts = ACCOUNTS;
+  }
+
+  walletAccount(userId) {
+    return `wallet:${userId}`;
+  }
+
+  isWalletAccount(account) {
+    return account.startsWith('wallet:');
+  }
+
+  // Build a journal line, tagging wallet lines with their user
+  line(account, { debit = 0, credit = 0 } = {}) {
+    const line = { account, debit, credit };
+
+    if (this.isWalletAccount(account)) {
+      line.user = new mongoose.Types.ObjectId(account.substring('wallet:'.length));
+    }
+
+    return line;
+  }
+
+  // Post a two-line entry: debit one account, credit another, same amount
+  async post({ type, debit, credit, amount, description, transaction, ishareLoad, ishareTransfer, postedBy }, { session } = {}) {
+    if (!amount || amount <= 0) {
+      throw new Error('Journal amount must be greater than 0');
+    }
+
+    const [entry] = await JournalEntry.create([{
+      type,
+      lines: [
+        this.line(debit, { debit: amount }),
+        this.line(credit, { credit: amount })
+      ],
+      description,
+      transaction,
+      ishareLoad,
+      ishareTransfer,
+      postedBy
+    }], { session });
+
+    return entry;
+  }
+
+  // Net balance per account. Wallets report credits - debits, everything else debits - credits.
+  async balances(match = {}) {
+    const totals = await JournalEntry.aggregate([
+      { $unwind: '$lines' },
+      { $match: match },
+      {
+        $group: {
+          _id: '$lines.account',
+          debits: { $sum: '$lines.debit' },
+          credits: { $sum: '$lines.credit' },
+          entries: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return totals.map(total => ({
+      account: total._id,
+      debits: total.debits,
+      credits: total.credits,
+      entries: total.entries,
+      balance: this.isWalletAccount(total._id)
+        ? total.credits - total.debits
+        : total.debits - total.credits
+    }));
+  }
+
+  async walletBalance(userId) {
+    const [account] = await this.balances({ 'lines.account': this.walletAccount(userId) });
+    return account ? account.balance : 0;
+  }
+
+  // Whole-ledger check - total debits must equal total credits
+  async trialBalance() {
+    const accounts = await this.balances();
+    const totalDebits = accounts.reduce((sum, account) => sum + account.debits, 0);
+    const totalCredits = accounts.reduce((sum, account) => sum + account.credits, 0);
+    const wallets = accounts.filter(account => this.isWalletAccount(account.account));
+
+    return {
+      balanced: totalDebits === totalCredits,
+      totalDebits,
+      totalCredits,
+      walletTotal: wallets.reduce((sum, account) => sum + account.balance, 0),
+      accounts: accounts.filter(account => !this.isWalletAccount(account.account)),
+      walletAccounts: wallets.length
+    };
+  }
+
+  // Compare every User.ishareBalance with the balance derived from the journal
+  async verifyWallets() {
+    const journalBalances = new Map(
+      (await this.balances({ 'lines.account': /^wallet:/ }))
+        .map(account => [account.account, account.balance])
+    );
+
+    const users = await User.find().select('email name ishareBalance');
+    const mismatches = [];
+
+    for (const user of users) {
+      const account = this.walletAccount(user._id);
+      const journalBalance = journalBalances.get(account) || 0;
+
+      if (journalBalance !== (user.ishareBalance || 0)) {
+        mismatches.push({
+          userId: user._id,
+          email: user.email,
+          name: user.name,
+          walletBalance: user.ishareBalance || 0,
+          journalBalance,
+          difference: (user.ishareBalance || 0) - journalBalance,
+          hasJournal: journalBalances.has(account)
+        });
+      }
+    }
+
+    return {
+      usersChecked: users.length,
+      mismatches
+    };
+  }
+
+  // Post opening balances for wallets that predate the journal
+  async postOpeningBalances(postedBy) {
+    const journalled = new Set(
+      (await this.balances({ 'lines.account': /^wallet:/ })).map(account => account.account)
+    );
+
+    const users = await User.find({ ishareBalance: { $gt: 0 } }).select('ishareBalance');
+    const posted = [];
+
+    for (const user of users) {
+      if (journalled.has(this.walletAccount(user._id))) {
+        continue;
+      }
+
+      const entry = await this.post({
+        type: 'opening_balance',
+        debit: ACCOUNTS.DEALER_FLOAT,
+        credit: this.walletAccount(user._id),
+        amount: user.ishareBalance,
+        description: `Opening balance of ${user.ishareBalance}MB`,
+        postedBy
+      });
+
+      posted.push({ userId: user._id, amountMB: user.ishareBalance, entry: entry._id });
+    }
+
+    return posted;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,136 @@
+// services/Msisdn.js - Ghana mobile number parsing and network detection
+//
+// The one place phone numbers are interpreted. parse() turns any accepted input into
+// the canonical E.164 form (+233XXXXXXXXX) that the schemas store, and names the
+// network from the prefix table. Anything that cannot be a Ghana mobile number is
+// rejected with an MsisdnError whose `reason` says why.
+//
+// Accepted input - spaces, dashes, dots and brackets are ignored:
+//   0241234567            national
+//   241234567             national without the trunk 0
+//   233241234567          international, also written +233..., 00233... or 0233...
+//   +233 (0)24 123 4567   international with the trunk 0 kept
+
+const COUNTRY_CODE = '233';
+const NATIONAL_LENGTH = 9;
+
+// Mobile ranges by network - first two digits of the 9-digit national number
+const NETWORK_PREFIXES = {
+  mtn: ['24', '25', '53', '54', '55', '59'],
+  telecel: ['20', '50'],
+  airteltigo: ['26', '27', '56', '57']
+};
+
+const NETWORKS = Object.keys(NETWORK_PREFIXES);
+
+// reason: REQUIRED | INVALID_CHARACTERS | FOREIGN_NUMBER | TOO_SHORT | TOO_LONG | NOT_MOBILE | UNKNOWN_PREFIX
+class MsisdnError extends Error {
+  constructor(reason, message, input) {
+    super(message);
+    this.name = 'MsisdnError';
+    this.reason = reason;
+    this.input = input;
+  }
+}
+
+// Strip the country code and trunk 0 down to the national significant number
+const nationalNumber = (input, text) => {
+  const digits = text.replace(/\D/g, '');
+  let international = null;
+
+  if (text.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.substring(2);
+  } else if (digits.startsWith(`0${COUNTRY_CODE}`) && digits.length > NATIONAL_LENGTH + 1) {
+    international = digits.substring(1);
+  } else if (digits.startsWith(COUNTRY_CODE) && digits.length > NATIONAL_LENGTH + 1) {
+    international = digits;
+  }
+
+  if (international === null) {
+    return digits.startsWith('0') ? digits.substring(1) : digits;
+  }
+
+  if (!international.startsWith(COUNTRY_CODE)) {
+    throw new MsisdnError('FOREIGN_NUMBER', 'Only Ghana (+233) mobile numbers are supported', input);
+  }
+
+  const national = international.substring(COUNTRY_CODE.length);
+  return national.startsWith('0') ? national.substring(1) : national;
+};
+
+// Resolves any accepted input to { e164, international, national, prefix, network }
+const parse = (input) => {
+  const text = input === null || input === undefined ? '' : String(input).trim();
+
+  if (!text) {
+    throw new MsisdnError('REQUIRED', 'Phone number is required', input);
+  }
+
+  if (!/^\+?[\d\s\-.()]+$/.test(text)) {
+    throw new MsisdnError('INVALID_CHARACTERS', 'Phone number may only contain digits, spaces, dashes, brackets and a leading +', input);
+  }
+
+  const national = nationalNumber(input, text);
+
+  if (national.length < NATIONAL_LENGTH) {
+    throw new MsisdnError('TOO_SHORT', `Phone number is too short - expected 9 digits after the leading 0 (024 123 4567), got ${national.length}`, input);
+  }
+
+  if (national.length > NATIONAL_LENGTH) {
+    throw new MsisdnError('TOO_LONG', `Phone number is too long - expected 9 digits after the leading 0 (024 123 4567), got ${national.length}`, input);
+  }
+
+  if (!['2', '5'].includes(national[0])) {
+    throw new MsisdnError('NOT_MOBILE', `0${national} is not a mobile number`, input);
+  }
+
+  const prefix = national.substring(0, 2);
+  const network = NETWORKS.find(candidate => NETWORK_PREFIXES[candidate].includes(prefix));
+
+  if (!network) {
+    throw new MsisdnError('UNKNOWN_PREFIX', `0${prefix} is not a mobile prefix of any Ghana network`, input);
+  }
+
+  return {
+    e164: `+${COUNTRY_CODE}${national}`,
+    international: `${COUNTRY_CODE}${national}`,
+    national: `0${national}`,
+    prefix: `0${prefix}`,
+    network
+  };
+};
+
+// Like parse() but never throws: { valid: true, ...parsed } or { valid: false, reason, message }
+const check = (input) => {
+  try {
+    return { valid: true, ...parse(input) };
+  } catch (error) {
+    if (!(error instanceof MsisdnError)) {
+      throw error;
+    }
+
+    return { valid: false, reason: error.reason, message: error.message };
+  }
+};
+
+const normalize = (input) => parse(input).e164;
+
+const isValid = (input) => check(input).valid;
+
+const networkOf = (input) => {
+  const result = check(input);
+  return result.valid ? result.network : null;
+};
+
+module.exports = {
+  MsisdnError,
+  NETWORK_PREFIXES,
+  NETWORKS,
+  parse,
+  check,
+  normalize,
+  isValid,
+  networkOf
+};
@@ -0,0 +1,72 @@
+// services/ProviderAdapter.js - Interface every bundle provider adapter implements
+//
+// An adapter wraps one upstream provider API. The transfer pipeline, resolver and
+// dealer float guard only talk to adapters through these methods, so a new network
+// is added by writing an adapter and registering it with the ProviderRouter.
+const { ProviderBusinessError, ProviderUnavailableError } = require('./ProviderErrors');
+
+class ProviderAdapter {
+  // id       - stable key stored on IshareTransfer.provider
+  // name     - label shown to admins
+  // networks - networks this provider can deliver to ('mtn', 'telecel', 'airteltigo')
+  constructor({ id, name, networks }) {
+    this.id = id;
+    this.name = name;
+    this.networks = networks;
+  }
+
+  notImplemented(method) {
+    return new Error(`Provider adapter "${this.id}" does not implement ${method}`);
+  }
+
+  // Resolves to { success, responseCode, message, balance, balanceInGB, expireTime }
+  async checkBalance() {
+    throw this.notImplemented('checkBalance');
+  }
+
+  // Resolves to { success, responseCode, message, systemTransactionId, vendorTransactionId }, with
+  // failed results carrying a typed error (see errorFor) in `error`. Throws ProviderErrors:
+  // InvalidRecipientError for bad input, ProviderUnavailableError on transport failures
+  // (with outcomeUnknown set when the provider may have delivered).
+  async sendTransfer(recipientMsisdn, amountMB, transactionId) {
+    throw this.notImplemented('sendTransfer');
+  }
+
+  // Resolves to { message, systemTransactionId, vendorTransactionId, ... } - ids are set once delivered
+  async checkTransactionStatus(transactionId) {
+    throw this.notImplemented('checkTransactionStatus');
+  }
+
+  // Resolves to { healthy, message, responseCode }. `credentials` (from ProviderCredentials)
+  // checks a credential version that is not active yet.
+  async healthCheck(credentials) {
+    throw this.notImplemented('healthCheck');
+  }
+
+  // Typed error for a failed sendTransfer result. Adapters map their own response codes.
+  errorFor(result) {
+    const options = { provider: this.id, providerCode: result.responseCode || null };
+
+    if (result.parseError || result.fault) {
+      return new ProviderUnavailableError(result.message, options);
+    }
+
+    return new ProviderBusinessError(result.message, options);
+  }
+
+  generateTransactionId(prefix = 'ISHARE') {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `${prefix}_${timestamp}_${random}`;
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      networks: this.networks
+    };
+  }
+}
+
+module.exports = ProviderAdapter;
@@ -0,0 +1,97 @@
+// services/ProviderCallJournal.js - Persistent record of every provider API call
+//
+// Adapters hand each request/response pair to record() once the call settles. Bodies
+// are stored with credentials masked so support can see exactly what the provider was
+// sent and what it answered, without the password ever reaching the database or logs.
+const { ProviderCall, IshareTransfer } = require('../Schema/Schema');
+
+// Element names whose contents are never stored
+const SENSITIVE_ELEMENTS = /<((?:[\w-]+:)?(?:password|pin|secret|apikey|api_key|token))(\s[^>]*)?>[\s\S]*?<\/\1>/gi;
+const MAX_BODY_LENGTH = 10000;
+
+class ProviderCallJournal {
+  // Mask the text of sensitive XML elements, e.g. <tem:password>***</tem:password>
+  redact(body) {
+    if (body === undefined || body === null) {
+      return undefined;
+    }
+
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+    const redacted = text.replace(SENSITIVE_ELEMENTS, (element, name, attributes = '') =>
+      `<${name}${attributes}>***</${name}>`);
+
+    return redacted.length > MAX_BODY_LENGTH
+      ? `${redacted.substring(0, MAX_BODY_LENGTH)}... [truncated ${redacted.length - MAX_BODY_LENGTH} chars]`
+      : redacted;
+  }
+
+  // Fire-and-forget - journaling must never fail or slow down a provider call
+  record(call) {
+    this.save(call).catch(error => {
+      console.error(`Failed to journal ${call.provider} ${call.operation} call:`, error.message);
+    });
+  }
+
+  async save(call) {
+    const transfer = call.transactionId
+      ? await IshareTransfer.findOne({ externalTransactionId: call.transactionId }).select('_id')
+      : null;
+
+    return ProviderCall.create({
+      ...call,
+      ishareTransfer: transfer ? transfer._id : undefined,
+      requestBody: this.redact(call.requestBody),
+      responseBody: this.redact(call.responseBody)
+    });
+  }
+
+  // Calls made for one transfer, oldest first
+  async forTransfer(transfer) {
+    return ProviderCall.find({
+      $or: [
+        { ishareTransfer: transfer._id },
+        { transactionId: transfer.externalTransactionId }
+      ]
+    }).sort({ createdAt: 1 });
+  }
+
+  // Newest first; bodies are left out of the listing
+  async search({ transactionId, transfer, provider, operation, responseCode, success, from, to, page = 1, limit = 50 }) {
+    const query = {};
+
+    if (transactionId) query.transactionId = transactionId;
+    if (transfer) query.ishareTransfer = transfer;
+    if (provider) query.provider = provider;
+    if (operation) query.operation = operation;
+    if (responseCode) query.responseCode = responseCode;
+    if (success !== undefined) query.success = success;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [calls, total] = await Promise.all([
+      ProviderCall.find(query)
+        .select('-requestBody -responseBody')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      ProviderCall.countDocuments(query)
+    ]);
+
+    return {
+      calls,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalCalls: total,
+        callsPerPage: limit
+      }
+    };
+  }
+}
+
+module.exports = new ProviderCallJournal();
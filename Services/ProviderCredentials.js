@@ -0,0 +1,249 @@
+// services/ProviderCredentials.js - Encrypted, versioned provider credentials
+//
+// Each provider has numbered credential versions. A new version starts 'pending', must
+// pass a live test against the provider, and only then can be activated - which retires
+// the previous version. Passwords are encrypted with AES-256-GCM under
+// PROVIDER_CREDENTIALS_KEY and are never returned by the API or written to logs.
+//
+// Adapters read their credentials through active(), which is cached for a short time so
+// every instance picks up a rotation without a restart. Until a version is activated the
+// <PROVIDER>_ENDPOINT / _USERNAME / _PASSWORD / _DEALER_MSISDN environment variables are used.
+const crypto = require('crypto');
+const { ProviderCredential } = require('../Schema/Schema');
+const withTransaction = require('../Connection/transaction');
+const { ProviderUnavailableError } = require('./ProviderErrors');
+
+const CACHE_TTL_MS = (parseInt(process.env.PROVIDER_CREDENTIALS_CACHE_SECONDS) || 60) * 1000;
+
+const encryptionKey = () => {
+  const material = process.env.PROVIDER_CREDENTIALS_KEY;
+
+  if (!material) {
+    throw new Error('PROVIDER_CREDENTIALS_KEY is not set - cannot encrypt or decrypt provider credentials');
+  }
+
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+class ProviderCredentialsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  fromEnvironment(providerId) {
+    const prefix = providerId.toUpperCase();
+    const endpoint = process.env[`${prefix}_ENDPOINT`];
+    const username = process.env[`${prefix}_USERNAME`];
+    const password = process.env[`${prefix}_PASSWORD`];
+
+    if (!endpoint || !username || !password) {
+      return null;
+    }
+
+    return {
+      source: 'environment',
+      version: null,
+      endpoint,
+      username,
+      password,
+      dealerMsisdn: process.env[`${prefix}_DEALER_MSISDN`] || null
+    };
+  }
+
+  toCredentials(doc) {
+    return {
+      source: 'database',
+      version: doc.version,
+      endpoint: doc.endpoint,
+      username: doc.username,
+      password: decrypt(doc.encryptedPassword),
+      dealerMsisdn: doc.dealerMsisdn || null
+    };
+  }
+
+  // Credentials an adapter should use right now, including the plaintext password
+  async active(providerId) {
+    const cached = this.cache.get(providerId);
+
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.credentials;
+    }
+
+    let credentials;
+
+    try {
+      const doc = await ProviderCredential.findOne({ provider: providerId, status: 'active' })
+        .select('+encryptedPassword');
+
+      credentials = doc ? this.toCredentials(doc) : this.fromEnvironment(providerId);
+    } catch (error) {
+      // Keep working with what we had if the store is briefly unreachable
+      if (cached) {
+        console.error(`Could not reload ${providerId} credentials, using cached version:`, error.message);
+        return cached.credentials;
+      }
+
+      throw error;
+    }
+
+    if (!credentials) {
+      throw new ProviderUnavailableError(`No credentials configured for provider "${providerId}"`, {
+        provider: providerId,
+        retryable: false
+      });
+    }
+
+    this.cache.set(providerId, { credentials, loadedAt: Date.now() });
+    return credentials;
+  }
+
+  // Safe view of a version - everything except the password
+  describe(doc) {
+    const view = doc.toObject ? doc.toObject() : { ...doc };
+    delete view.encryptedPassword;
+    delete view.password;
+    return { ...view, passwordSet: true };
+  }
+
+  // What an adapter is currently using, without the secret
+  async summary(providerId) {
+    try {
+      const { password, ...rest } = await this.active(providerId);
+      return { provider: providerId, ...rest, passwordSet: !!password };
+    } catch (error) {
+      return { provider: providerId, source: null, passwordSet: false, error: error.message };
+    }
+  }
+
+  async list(providerId) {
+    const versions = await ProviderCredential.find({ provider: providerId })
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email')
+      .sort({ version: -1 });
+
+    return versions.map(version => this.describe(version));
+  }
+
+  // Store a new pending version. Omitted endpoint/username/dealerMsisdn carry over from the active credentials.
+  async create(providerId, { endpoint, username, password, dealerMsisdn }, createdBy) {
+    if (!password) {
+      throw new Error('password is required');
+    }
+
+    let current = null;
+
+    try {
+      current = await this.active(providerId);
+    } catch (error) {
+      // First version for this provider - everything must be supplied
+    }
+
+    const values = {
+      endpoint: endpoint || (current && current.endpoint),
+      username: username || (current && current.username),
+      dealerMsisdn: dealerMsisdn || (current && current.dealerMsisdn) || undefined
+    };
+
+    if (!values.endpoint || !values.username) {
+      throw new Error('endpoint and username are required for the first credential version');
+    }
+
+    const latest = await ProviderCredential.findOne({ provider: providerId }).sort({ version: -1 }).select('version');
+
+    const doc = await ProviderCredential.create({
+      provider: providerId,
+      version: latest ? latest.version + 1 : 1,
+      status: 'pending',
+      ...values,
+      encryptedPassword: encrypt(password),
+      createdBy
+    });
+
+    console.log(`🔑 ${providerId} credentials v${doc.version} created (pending test)`);
+    return this.describe(doc);
+  }
+
+  // Run the adapter's health check with a stored version and record the outcome
+  async test(adapter, version, testedBy) {
+    const doc = await ProviderCredential.findOne({ provider: adapter.id, version })
+      .select('+encryptedPassword');
+
+    if (!doc) {
+      return null;
+    }
+
+    const result = await adapter.healthCheck(this.toCredentials(doc));
+
+    doc.lastTest = {
+      success: !!result.healthy,
+      responseCode: result.responseCode,
+      message: result.message,
+      testedAt: new Date(),
+      testedBy
+    };
+    await doc.save();
+
+    console.log(`🔑 ${adapter.id} credentials v${version} test ${result.healthy ? 'passed' : 'failed'}: ${result.message}`);
+    return { credential: this.describe(doc), result };
+  }
+
+  // Make a tested version active and retire the previous one.
+  // Resolves to { status: 'not_found' | 'untested' | 'already_active' | 'activated', credential }
+  async activate(providerId, version, activatedBy) {
+    const outcome = await withTransaction(async (session) => {
+      const doc = await ProviderCredential.findOne({ provider: providerId, version }).session(session);
+
+      if (!doc) {
+        return { status: 'not_found' };
+      }
+
+      if (doc.status === 'active') {
+        return { status: 'already_active', credential: this.describe(doc) };
+      }
+
+      if (!doc.lastTest || !doc.lastTest.success) {
+        return { status: 'untested', credential: this.describe(doc) };
+      }
+
+      await ProviderCredential.updateMany(
+        { provider: providerId, status: 'active' },
+        { status: 'retired', retiredAt: new Date() },
+        { session }
+      );
+
+      doc.status = 'active';
+      doc.activatedBy = activatedBy;
+      doc.activatedAt = new Date();
+      doc.retiredAt = undefined;
+      await doc.save({ session });
+
+      return { status: 'activated', credential: this.describe(doc) };
+    });
+
+    if (outcome.status === 'activated') {
+      // This instance switches immediately; others within the cache TTL
+      this.cache.delete(providerId);
+      console.log(`🔑 ${providerId} credentials v${version} activated`);
+    }
+
+    return outcome;
+  }
+}
+
+module.exports = new ProviderCredentialsService();
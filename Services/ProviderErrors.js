@@ -0,0 +1,152 @@
+// services/ProviderErrors.js - Typed errors for provider failures
+//
+// Adapters and the transfer pipeline raise (or attach) these instead of plain Errors so
+// every router can answer with the same envelope:
+//
+//   HTTP <httpStatus>
+//   {
+//     success: false,
+//     error: '<user-safe message>',
+//     code: 'INVALID_RECIPIENT' | 'PROVIDER_REJECTED' | 'OUT_OF_STOCK' | 'PROVIDER_UNAVAILABLE' | ...,
+//     retryable: true | false,       the same request may succeed later
+//     providerCode: '306' | null,    raw provider response code, when there is one
+//     provider: 'ishare' | null,
+//     retryAt: ISO date              only when the provider's circuit is open
+//     ...route-specific fields (transfer, senderBalance, ...)
+//   }
+//
+//   InvalidRecipientError         400  number is malformed, unregistered or on an unsupported network
+//   ProviderBusinessError         422  provider understood the request and declined it
+//   InsufficientDealerStockError  503  dealer float cannot cover the transfer
+//   ProviderUnavailableError      503  provider unreachable, erroring or misconfigured
+//   CircuitOpenError              503  provider skipped while its circuit breaker is open
+//
+// `message` is for logs and admins; only `userMessage` is sent to customers.
+
+class ProviderError extends Error {
+  constructor(message, {
+    code = 'PROVIDER_ERROR',
+    httpStatus = 502,
+    retryable = false,
+    providerCode = null,
+    provider = null,
+    userMessage = 'The transfer could not be completed.'
+  } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+    this.providerCode = providerCode;
+    this.provider = provider;
+    this.userMessage = userMessage;
+  }
+
+  toResponse(extra = {}) {
+    return {
+      success: false,
+      error: this.userMessage,
+      code: this.code,
+      retryable: this.retryable,
+      providerCode: this.providerCode,
+      provider: this.provider,
+      ...extra
+    };
+  }
+
+  // SOAP 1.1 Server and SOAP 1.2 Receiver faults are the provider failing, not declining
+  static isServerFault(faultCode) {
+    return /server|receiver/i.test(faultCode || '');
+  }
+
+  // Wrap anything thrown on the way to a provider. Unrecognised errors are treated as the
+  // provider being unavailable - their text is kept for logs but never shown to users.
+  static from(error, provider = null) {
+    if (error instanceof ProviderError) {
+      return error;
+    }
+
+    if (error && error.faultCode && !ProviderError.isServerFault(error.faultCode)) {
+      return new ProviderBusinessError(error.message, { provider, code: 'PROVIDER_FAULT' });
+    }
+
+    return new ProviderUnavailableError(error ? error.message : 'Unknown provider error', {
+      provider,
+      retryable: true
+    });
+  }
+}
+
+class InvalidRecipientError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'INVALID_RECIPIENT',
+      httpStatus: 400,
+      userMessage: 'The recipient number is not valid for this transfer.',
+      ...options
+    });
+  }
+}
+
+class ProviderBusinessError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'PROVIDER_REJECTED',
+      httpStatus: 422,
+      userMessage: 'The provider declined this transfer.',
+      ...options
+    });
+  }
+}
+
+class InsufficientDealerStockError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, {
+      code: 'OUT_OF_STOCK',
+      httpStatus: 503,
+      retryable: true,
+      userMessage: 'Service temporarily out of stock. Please try again later.',
+      ...options
+    });
+  }
+}
+
+class ProviderUnavailableError extends ProviderError {
+  constructor(message, { outcomeUnknown = false, transportCode = null, ...options } = {}) {
+    super(message, {
+      code: 'PROVIDER_UNAVAILABLE',
+      httpStatus: 503,
+      retryable: true,
+      userMessage: 'Transfer service is temporarily unavailable. Please try again shortly.',
+      ...options
+    });
+
+    // The request may have reached the provider - the transfer could still deliver
+    this.outcomeUnknown = outcomeUnknown;
+    this.transportCode = transportCode; // e.g. 'ECONNREFUSED'
+  }
+}
+
+class CircuitOpenError extends ProviderUnavailableError {
+  constructor(providerId, retryAt) {
+    super(`Provider ${providerId} is temporarily unavailable - circuit open until ${retryAt.toISOString()}`, {
+      code: 'CIRCUIT_OPEN',
+      provider: providerId
+    });
+    this.circuitOpen = true;
+    this.retryAt = retryAt;
+  }
+
+  toResponse(extra = {}) {
+    return super.toResponse({ retryAt: this.retryAt, ...extra });
+  }
+}
+
+module.exports = {
+  ProviderError,
+  InvalidRecipientError,
+  ProviderBusinessError,
+  InsufficientDealerStockError,
+  ProviderUnavailableError,
+  CircuitOpenError
+};
@@ -0,0 +1,103 @@
+// services/ProviderRouter.js - Chooses the provider adapter for a recipient
+//
+// Order of precedence:
+//   1. Admin prefix rule (longest matching prefix wins)
+//   2. Admin network override
+//   3. First registered adapter that serves the recipient's network
+const { Setting } = require('../Schema/Schema');
+const iShareService = require('./Ishare');
+const msisdn = require('./Msisdn');
+
+const SETTING_KEY = 'provider_routing';
+const DEFAULT_PROVIDER = 'ishare';
+
+class ProviderRouter {
+  constructor() {
+    this.adapters = new Map();
+    this.settings = null;
+    this.defaultProvider = DEFAULT_PROVIDER;
+    this.networks = msisdn.NETWORKS;
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  get(providerId = DEFAULT_PROVIDER) {
+    return this.adapters.get(providerId) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Adapter a stored transfer was sent through (transfers before routing are all iShare)
+  adapterFor(transfer) {
+    return this.get(transfer.provider || DEFAULT_PROVIDER);
+  }
+
+  async config() {
+    if (!this.settings) {
+      const setting = await Setting.findOne({ key: SETTING_KEY });
+      this.settings = { rules: [], networks: {}, ...(setting ? setting.value : {}) };
+    }
+
+    return this.settings;
+  }
+
+  // rules: [{ prefix: '23324' | '024', provider }], networks: { mtn: 'providerId', ... }
+  async updateConfig({ rules, networks }, updatedBy) {
+    const current = await this.config();
+    const value = {
+      rules: rules !== undefined ? rules : current.rules,
+      networks: networks !== undefined ? networks : current.networks
+    };
+
+    await Setting.findOneAndUpdate(
+      { key: SETTING_KEY },
+      { value, updatedBy },
+      { upsert: true, new: true }
+    );
+
+    this.settings = value;
+    return value;
+  }
+
+  // Resolves to { adapter, network, reason } - adapter is null when nothing serves the number
+  async resolve(phoneNumber) {
+    const { rules, networks } = await this.config();
+    const parsed = msisdn.check(phoneNumber);
+    const network = parsed.valid ? parsed.network : null;
+
+    if (parsed.valid) {
+      const rule = rules
+        .map(candidate => ({ ...candidate, prefix: this.toInternationalPrefix(candidate.prefix) }))
+        .filter(candidate => parsed.international.startsWith(candidate.prefix) && this.get(candidate.provider))
+        .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+      if (rule) {
+        return { adapter: this.get(rule.provider), network, reason: `rule:${rule.prefix}` };
+      }
+    }
+
+    if (network && networks[network] && this.get(networks[network])) {
+      return { adapter: this.get(networks[network]), network, reason: 'network_override' };
+    }
+
+    const adapter = this.list().find(candidate => network && candidate.networks.includes(network));
+
+    return { adapter: adapter || null, network, reason: adapter ? 'network_default' : 'unsupported' };
+  }
+
+  // Rule prefixes may be written locally ('024') or internationally ('23324')
+  toInternationalPrefix(prefix) {
+    const digits = String(prefix).replace(/\D/g, '');
+    return digits.startsWith('0') ? `233${digits.substring(1)}` : digits;
+  }
+}
+
+const providerRouter = new ProviderRouter();
+providerRouter.register(iShareService);
+
+module.exports = providerRouter;
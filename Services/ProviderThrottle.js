@@ -0,0 +1,117 @@
+// services/ProviderThrottle.js - Throughput limits toward each provider's dealer endpoint
+//
+// Every transfer delivery, inline or from the queue, runs through run(): at most
+// `concurrency` sendTransfer calls are in flight per provider, and calls start no
+// faster than `ratePerSecond`. Limits apply per server process.
+const { Setting } = require('../Schema/Schema');
+
+const SETTING_KEY = 'provider_throughput';
+
+const DEFAULT_CONFIG = {
+  concurrency: parseInt(process.env.PROVIDER_MAX_CONCURRENCY) || 4,
+  ratePerSecond: parseFloat(process.env.PROVIDER_MAX_RATE_PER_SECOND) || 5
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ProviderThrottle {
+  constructor() {
+    this.settings = null;
+    this.states = new Map();
+  }
+
+  stateFor(providerId) {
+    if (!this.states.has(providerId)) {
+      this.states.set(providerId, { active: 0, waiting: [], nextStartAt: 0, started: 0 });
+    }
+
+    return this.states.get(providerId);
+  }
+
+  async config() {
+    if (!this.settings) {
+      const setting = await Setting.findOne({ key: SETTING_KEY });
+      this.settings = { ...DEFAULT_CONFIG, ...(setting ? setting.value : {}) };
+    }
+
+    return this.settings;
+  }
+
+  async updateConfig(changes, updatedBy) {
+    const current = await this.config();
+    const value = { ...current, ...changes };
+
+    await Setting.findOneAndUpdate(
+      { key: SETTING_KEY },
+      { value, updatedBy },
+      { upsert: true, new: true }
+    );
+
+    this.settings = value;
+
+    // A higher concurrency lets waiting calls start straight away
+    for (const providerId of this.states.keys()) {
+      this.wake(providerId);
+    }
+
+    return value;
+  }
+
+  wake(providerId) {
+    const state = this.stateFor(providerId);
+
+    while (state.waiting.length && state.active < this.settings.concurrency) {
+      state.active += 1;
+      state.waiting.shift()();
+    }
+  }
+
+  async acquire(providerId) {
+    const { concurrency, ratePerSecond } = await this.config();
+    const state = this.stateFor(providerId);
+
+    if (state.active < concurrency) {
+      state.active += 1;
+    } else {
+      // release() hands the slot over, already counted in `active`
+      await new Promise(resolve => state.waiting.push(resolve));
+    }
+
+    // Space call starts 1/ratePerSecond apart
+    const startAt = Math.max(Date.now(), state.nextStartAt);
+    state.nextStartAt = startAt + 1000 / ratePerSecond;
+
+    if (startAt > Date.now()) {
+      await sleep(startAt - Date.now());
+    }
+
+    state.started += 1;
+  }
+
+  release(providerId) {
+    const state = this.stateFor(providerId);
+    state.active -= 1;
+    this.wake(providerId);
+  }
+
+  async run(providerId, work) {
+    await this.acquire(providerId);
+
+    try {
+      return await work();
+    } finally {
+      this.release(providerId);
+    }
+  }
+
+  describe() {
+    return Array.from(this.states.entries()).map(([provider, state]) => ({
+      provider,
+      active: state.active,
+      waiting: state.waiting.length,
+      started: state.started
+    }));
+  }
+}
+
+module.exports = new ProviderThrottle();
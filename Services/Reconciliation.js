@@ -0,0 +1,245 @@
+// services/Reconciliation.js - Wallet-vs-history reconciliation and drift reports
+//
+// The expected balance of a wallet is rebuilt from its IshareLoad, Transaction and
+// IshareTransfer history and compared with User.ishareBalance. Reconciliation
+// adjustments are left out of the rebuild: they exist to bring the wallet back in
+// line with history, so including them would make the drift reappear.
+const { User, IshareLoad, Transaction, IshareTransfer, ReconciliationRun } = require('../Schema/Schema');
+const walletService = require('./Wallet');
+
+// Transaction types that always reduce the wallet, whatever sign the row was stored with
+const DEBIT_TYPES = ['data_usage', 'admin_debit', 'transfer_sent'];
+
+class ReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Rebuild one wallet's expected balance and list the records that explain any drift
+  async reconcileUser(user) {
+    const [loads, transactions, transfers] = await Promise.all([
+      IshareLoad.find({ user: user._id }).select('amountMB reason createdAt'),
+      Transaction.find({ user: user._id }).select('type amount ishareLoad ishareTransfer description createdAt'),
+      IshareTransfer.find({ sender: user._id }).select('amountMB status externalTransactionId recipientPhoneNumber createdAt')
+    ]);
+
+    const findings = [];
+    let expectedBalance = 0;
+
+    // Loads are the source of truth for credits
+    const loadIds = new Set(loads.map(load => load._id.toString()));
+    const loadedWithTransaction = new Set();
+
+    for (const load of loads) {
+      expectedBalance += load.amountMB;
+    }
+
+    // Net of every row per transfer, and of the debits alone (reversals and refunds credit back)
+    const transferTotals = new Map();
+    const transferDebits = new Map();
+
+    for (const tx of transactions) {
+      if (tx.type === 'reconciliation_adjustment') {
+        continue;
+      }
+
+      if (tx.type === 'admin_load') {
+        const loadId = tx.ishareLoad ? tx.ishareLoad.toString() : null;
+
+        if (loadId && loadIds.has(loadId)) {
+          loadedWithTransaction.add(loadId);
+        } else {
+          // Credit with no load record behind it - count it, but flag it
+          expectedBalance += tx.amount;
+          findings.push({
+            issue: 'load_transaction_without_load',
+            transaction: tx._id,
+            amountMB: tx.amount,
+            description: tx.description
+          });
+        }
+        continue;
+      }
+
+      const amount = DEBIT_TYPES.includes(tx.type) ? -Math.abs(tx.amount) : tx.amount;
+
+      if (DEBIT_TYPES.includes(tx.type) && tx.amount > 0) {
+        findings.push({
+          issue: 'positive_debit_row',
+          transaction: tx._id,
+          type: tx.type,
+          amountMB: tx.amount
+        });
+      }
+
+      expectedBalance += amount;
+
+      if (tx.ishareTransfer) {
+        const key = tx.ishareTransfer.toString();
+        transferTotals.set(key, (transferTotals.get(key) || 0) + amount);
+
+        if (amount < 0) {
+          transferDebits.set(key, (transferDebits.get(key) || 0) + amount);
+        }
+      }
+    }
+
+    for (const load of loads) {
+      if (!loadedWithTransaction.has(load._id.toString())) {
+        findings.push({
+          issue: 'load_without_transaction',
+          ishareLoad: load._id,
+          amountMB: load.amountMB,
+          reason: load.reason
+        });
+      }
+    }
+
+    let expectedHeld = 0;
+
+    for (const transfer of transfers) {
+      const net = transferTotals.get(transfer._id.toString()) || 0;
+
+      // Unknown-outcome transfers keep their hold until the resolver settles them
+      if (transfer.status === 'pending' || transfer.status === 'unknown') {
+        expectedHeld += transfer.amountMB;
+      }
+
+      if (transfer.status === 'completed' && !transferDebits.get(transfer._id.toString())) {
+        // Delivered but never charged
+        expectedBalance -= transfer.amountMB;
+        findings.push({
+          issue: 'completed_transfer_not_debited',
+          ishareTransfer: transfer._id,
+          transactionId: transfer.externalTransactionId,
+          amountMB: transfer.amountMB
+        });
+      }
+
+      if (transfer.status === 'failed' && net < 0) {
+        // Charged for a delivery that never happened
+        expectedBalance -= net;
+        findings.push({
+          issue: 'failed_transfer_debited',
+          ishareTransfer: transfer._id,
+          transactionId: transfer.externalTransactionId,
+          amountMB: -net
+        });
+      }
+    }
+
+    const walletBalance = user.ishareBalance || 0;
+    const heldBalance = user.heldBalance || 0;
+
+    if (heldBalance !== expectedHeld) {
+      findings.push({
+        issue: 'held_balance_mismatch',
+        heldBalance,
+        expectedHeld
+      });
+    }
+
+    return {
+      user: user._id,
+      email: user.email,
+      walletBalance,
+      expectedBalance,
+      drift: walletBalance - expectedBalance,
+      heldBalance,
+      expectedHeld,
+      findings
+    };
+  }
+
+  // Reconcile every wallet and store the drift report
+  async run({ trigger = 'manual', triggeredBy } = {}) {
+    if (this.running) {
+      throw new Error('A reconciliation run is already in progress');
+    }
+
+    this.running = true;
+    const run = await ReconciliationRun.create({ trigger, triggeredBy });
+
+    try {
+      const users = await User.find().select('email ishareBalance heldBalance');
+
+      for (const user of users) {
+        const result = await this.reconcileUser(user);
+
+        if (result.drift !== 0 || result.findings.length > 0) {
+          run.results.push(result);
+        }
+
+        if (result.drift !== 0) {
+          run.driftCount += 1;
+          run.totalDrift += Math.abs(result.drift);
+        }
+      }
+
+      run.usersChecked = users.length;
+      run.status = 'completed';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      run.finishedAt = new Date();
+      await run.save();
+      this.running = false;
+    }
+
+    console.log(`Reconciliation ${run.status}: ${run.usersChecked} users checked, ${run.driftCount} with drift`);
+    return run;
+  }
+
+  // Post a correcting entry that brings the wallet back to its expected balance
+  async adjust(userId, { reason, performedBy }) {
+    const user = await User.findById(userId).select('email ishareBalance heldBalance');
+
+    if (!user) {
+      return { status: 'not_found' };
+    }
+
+    const before = await this.reconcileUser(user);
+
+    if (before.drift === 0) {
+      return { status: 'no_drift', report: before };
+    }
+
+    const adjustment = await walletService.adjust({
+      userId: user._id,
+      amountMB: -before.drift,
+      reason,
+      performedBy
+    });
+
+    if (!adjustment) {
+      return { status: 'insufficient_balance', report: before };
+    }
+
+    return { status: 'adjusted', report: before, transaction: adjustment.transaction, user: adjustment.user };
+  }
+
+  // Run on a timer (RECONCILE_INTERVAL_MINUTES, default once a day)
+  schedule(intervalMinutes = parseInt(process.env.RECONCILE_INTERVAL_MINUTES) || 1440) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run({ trigger: 'schedule' }).catch(error => {
+        console.error('Scheduled reconciliation failed:', error.message);
+      });
+    }, intervalMinutes * 60 * 1000);
+
+    this.timer.unref();
+    console.log(`🧮 Wallet reconciliation scheduled every ${intervalMinutes} minutes`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,261 @@
+// services/Resilience.js - Retry policy and circuit breaker around provider calls
+//
+// Every provider call goes through a per-provider circuit breaker: after a run of
+// transport failures (network errors, HTML error pages, SOAP server/receiver faults) the
+// breaker opens and calls fail fast until the provider has had time to recover.
+// Transfers are only retried when the provider was briefly unavailable (a retryable
+// ProviderUnavailableError), and only once a status check has confirmed the previous
+// attempt did not land.
+const { ProviderError, ProviderUnavailableError, CircuitOpenError } = require('./ProviderErrors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CircuitBreaker {
+  constructor(providerId, { failureThreshold, resetTimeoutMs }) {
+    this.providerId = providerId;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  // Moves an open breaker to half-open once the reset timeout has passed
+  canAttempt() {
+    if (this.state === 'open' && Date.now() - this.openedAt.getTime() >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'half_open') {
+      return !this.trialInFlight;
+    }
+
+    return this.state === 'closed';
+  }
+
+  retryAt() {
+    return new Date((this.openedAt ? this.openedAt.getTime() : Date.now()) + this.resetTimeoutMs);
+  }
+
+  onSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  onFailure(error) {
+    this.consecutiveFailures += 1;
+    this.lastFailure = { message: error.message, at: new Date() };
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.error(`⛔ Circuit for ${this.providerId} opened after ${this.consecutiveFailures} failures: ${error.message}`);
+      }
+
+      this.state = 'open';
+      this.openedAt = new Date();
+    }
+  }
+
+  reset() {
+    this.onSuccess();
+    this.lastFailure = null;
+  }
+
+  describe() {
+    return {
+      provider: this.providerId,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt,
+      retryAt: this.state === 'closed' ? null : this.retryAt(),
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+class ResilienceService {
+  constructor() {
+    this.breakers = new Map();
+    this.maxAttempts = parseInt(process.env.PROVIDER_MAX_ATTEMPTS) || 3;
+    this.retryDelayMs = parseInt(process.env.PROVIDER_RETRY_DELAY_MS) || 2000;
+    this.breakerOptions = {
+      failureThreshold: parseInt(process.env.PROVIDER_BREAKER_THRESHOLD) || 5,
+      resetTimeoutMs: (parseInt(process.env.PROVIDER_BREAKER_RESET_SECONDS) || 30) * 1000
+    };
+  }
+
+  breakerFor(providerId) {
+    if (!this.breakers.has(providerId)) {
+      this.breakers.set(providerId, new CircuitBreaker(providerId, this.breakerOptions));
+    }
+
+    return this.breakers.get(providerId);
+  }
+
+  isAvailable(providerId) {
+    const breaker = this.breakerFor(providerId);
+    return breaker.state === 'closed' || breaker.canAttempt();
+  }
+
+  // Transport-level trouble that says the provider itself is unwell
+  isProviderFailure(result) {
+    if (!result) {
+      return false;
+    }
+
+    if (result instanceof Error) {
+      if (result.circuitOpen) {
+        return false;
+      }
+
+      // Rejections and bad input are answers from a healthy provider
+      if (result instanceof ProviderError) {
+        return result instanceof ProviderUnavailableError;
+      }
+
+      if (result.faultCode) {
+        return ProviderError.isServerFault(result.faultCode);
+      }
+
+      return !!result.code || /HTML|parse|network|timeout|ECONN|ENOTFOUND|ETIMEDOUT|socket|HTTP/i.test(result.message);
+    }
+
+    return !!result.parseError || !!(result.fault && ProviderError.isServerFault(result.fault.code));
+  }
+
+  // 'success' | 'retryable' | 'terminal' for a sendTransfer result or thrown error.
+  // Failed results carry their typed error in result.error.
+  classify(result) {
+    if (!(result instanceof Error) && result.success) {
+      return 'success';
+    }
+
+    const error = result instanceof Error ? result : result.error;
+
+    // An open circuit will not close within our retry window
+    if (!error || error.circuitOpen) {
+      return 'terminal';
+    }
+
+    // Thrown validation errors (bad number, amount below minimum) are final
+    return error instanceof ProviderUnavailableError && error.retryable ? 'retryable' : 'terminal';
+  }
+
+  // Run one adapter method through the provider's circuit breaker
+  async call(adapter, method, args = []) {
+    const breaker = this.breakerFor(adapter.id);
+
+    if (!breaker.canAttempt()) {
+      throw new CircuitOpenError(adapter.id, breaker.retryAt());
+    }
+
+    if (breaker.state === 'half_open') {
+      breaker.trialInFlight = true;
+    }
+
+    try {
+      const result = await adapter[method](...args);
+
+      if (this.isProviderFailure(result)) {
+        breaker.onFailure(new Error(result.message || 'Provider failure'));
+      } else {
+        breaker.onSuccess();
+      }
+
+      return result;
+    } catch (error) {
+      if (this.isProviderFailure(error)) {
+        breaker.onFailure(error);
+      } else {
+        breaker.trialInFlight = false;
+      }
+
+      throw error;
+    }
+  }
+
+  // Did an earlier attempt land? true / false, or null when the provider can't tell us
+  async landed(adapter, transactionId) {
+    try {
+      const status = await this.call(adapter, 'checkTransactionStatus', [transactionId]);
+
+      if (status.systemTransactionId || status.vendorTransactionId) {
+        return { landed: true, status };
+      }
+
+      return { landed: false, status };
+    } catch (error) {
+      return { landed: null, error };
+    }
+  }
+
+  // sendTransfer with retries. Resolves like adapter.sendTransfer, throws like it too
+  // (including error.outcomeUnknown when we cannot tell whether the transfer landed).
+  async sendTransfer(adapter, recipientMsisdn, amountMB, transactionId) {
+    let attempt = 0;
+
+    while (true) {
+      attempt += 1;
+      let outcome;
+
+      try {
+        outcome = await this.call(adapter, 'sendTransfer', [recipientMsisdn, amountMB, transactionId]);
+      } catch (error) {
+        outcome = error;
+      }
+
+      const classification = this.classify(outcome);
+
+      if (classification !== 'retryable' || attempt >= this.maxAttempts) {
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+
+        return { ...outcome, attempts: attempt };
+      }
+
+      // Never send twice without knowing the first one didn't deliver
+      const check = await this.landed(adapter, transactionId);
+
+      if (check.landed) {
+        console.log(`Transfer ${transactionId} landed on attempt ${attempt} despite "${outcome.message}"`);
+
+        return {
+          success: true,
+          responseCode: '200',
+          message: 'Delivered (confirmed by status check)',
+          systemTransactionId: check.status.systemTransactionId,
+          vendorTransactionId: check.status.vendorTransactionId,
+          confirmedByStatus: true,
+          attempts: attempt
+        };
+      }
+
+      if (check.landed === null) {
+        console.warn(`Transfer ${transactionId}: status check failed (${check.error.message}) - not retrying`);
+
+        if (outcome instanceof Error) {
+          throw outcome;
+        }
+
+        return { ...outcome, attempts: attempt };
+      }
+
+      console.warn(`Transfer ${transactionId}: attempt ${attempt} did not land (${outcome.message}) - retrying`);
+      await sleep(this.retryDelayMs * attempt);
+    }
+  }
+
+  describe() {
+    return Array.from(this.breakers.values()).map(breaker => breaker.describe());
+  }
+}
+
+module.exports = new ResilienceService();
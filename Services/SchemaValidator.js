@@ -0,0 +1,204 @@
+// services/SchemaValidator.js - Checks requests against the OpenAPI document
+//
+// Understands the JSON Schema subset Routes/ApiLogic/openapi.js is written in: $ref to
+// #/components/schemas, type with nullable, enum, required, properties,
+// additionalProperties, items, minItems, maxItems, uniqueItems, minLength, maxLength,
+// pattern, format (date-time, uri), and minimum/maximum with the OpenAPI 3.0 boolean
+// exclusiveMinimum/exclusiveMaximum. Keywords outside that subset are ignored, so keep
+// request schemas inside it.
+//
+// Every check returns a list of { path, message }; an empty list means the value is valid.
+
+const SCHEMA_REF = '#/components/schemas/';
+
+const FORMATS = {
+  'date-time': (value) => !isNaN(Date.parse(value)),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return Number.isInteger(value) ? 'integer' : typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return type === 'number' ? ['number', 'integer'].includes(actual) && Number.isFinite(value) : actual === type;
+};
+
+const describeType = (type) => (['integer', 'array', 'object'].includes(type) ? `an ${type}` : `a ${type}`);
+
+const resolve = (schema, document) => {
+  if (!schema || !schema.$ref) {
+    return schema;
+  }
+
+  const resolved = schema.$ref.startsWith(SCHEMA_REF) && document.components.schemas[schema.$ref.substring(SCHEMA_REF.length)];
+
+  if (!resolved) {
+    throw new Error(`Cannot resolve schema reference ${schema.$ref}`);
+  }
+
+  return resolve(resolved, document);
+};
+
+const checkValue = (schema, value, path, document, errors) => {
+  schema = resolve(schema, document);
+
+  if (!schema) {
+    return;
+  }
+
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push({ path, message: 'must not be null' });
+    }
+
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path, message: `must be ${describeType(schema.type)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}` });
+    }
+
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push({ path, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}` });
+    }
+
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+      errors.push({ path, message: `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: 'must not contain duplicates' });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, `${path}[${index}]`, document, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push({ path: `${path}.${key}`, message: 'is required' }));
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        checkValue(properties[key], value[key], `${path}.${key}`, document, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkValue(schema.additionalProperties, value[key], `${path}.${key}`, document, errors);
+      }
+    });
+  }
+};
+
+// Query strings arrive as text - read numbers and booleans the way the schema declares them
+const coerce = (schema, value) => {
+  if (typeof value !== 'string' || !schema) {
+    return value;
+  }
+
+  if (['integer', 'number'].includes(schema.type) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+
+  return value;
+};
+
+// Body and query string of a request against one operation of the document
+const validateOperation = (operation, { body, query = {} }, document) => {
+  const errors = [];
+
+  (operation.parameters || [])
+    .filter(parameter => parameter.in === 'query')
+    .forEach(parameter => {
+      const path = `query.${parameter.name}`;
+
+      if (query[parameter.name] === undefined) {
+        if (parameter.required) {
+          errors.push({ path, message: 'is required' });
+        }
+
+        return;
+      }
+
+      const schema = resolve(parameter.schema, document);
+      checkValue(schema, coerce(schema, query[parameter.name]), path, document, errors);
+    });
+
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+
+  if (content) {
+    const empty = body === undefined || (typeOf(body) === 'object' && Object.keys(body).length === 0);
+
+    if (empty && operation.requestBody.required) {
+      errors.push({ path: 'body', message: 'is required' });
+    } else {
+      checkValue(content.schema, body === undefined ? {} : body, 'body', document, errors);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateOperation
+};
@@ -0,0 +1,235 @@
+// services/Soap.js - Minimal XML and SOAP envelope parser for the FlexiShare API
+//
+// Understands what the provider actually sends: namespace prefixes, attributes,
+// CDATA, XML entities, comments, SOAP 1.1 and 1.2 faults, and operation results
+// returned as an escaped XML string inside a *Result element.
+
+class SoapFaultError extends Error {
+  constructor({ code, reason, actor, detail }) {
+    super(`SOAP Fault ${code || 'Unknown'}: ${reason || 'No reason given'}`);
+    this.name = 'SoapFaultError';
+    this.faultCode = code;
+    this.faultReason = reason;
+    this.faultActor = actor;
+    this.faultDetail = detail;
+  }
+}
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const codePoint = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+    return String.fromCodePoint(codePoint);
+  }
+
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+const localNameOf = (name) => name.substring(name.indexOf(':') + 1);
+
+const createElement = (name, attributes = {}) => ({
+  name,
+  localName: localNameOf(name),
+  attributes,
+  children: [],
+  text: ''
+});
+
+// Index of the '>' closing a tag, skipping any '>' inside quoted attribute values
+const tagEnd = (xml, start) => {
+  let quote = null;
+
+  for (let i = start; i < xml.length; i++) {
+    const char = xml[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+};
+
+// Parse an XML document into { name, localName, attributes, children, text } elements
+const parseXml = (xml) => {
+  const document = createElement('#document');
+  const stack = [document];
+  let i = 0;
+
+  const skipTo = (terminator, from) => {
+    const end = xml.indexOf(terminator, from);
+
+    if (end === -1) {
+      throw new Error(`Malformed XML: missing "${terminator}"`);
+    }
+
+    return end;
+  };
+
+  while (i < xml.length) {
+    const current = stack[stack.length - 1];
+
+    if (xml.startsWith('<!--', i)) {
+      i = skipTo('-->', i + 4) + 3;
+    } else if (xml.startsWith('<![CDATA[', i)) {
+      const end = skipTo(']]>', i + 9);
+      current.text += xml.substring(i + 9, end);
+      i = end + 3;
+    } else if (xml.startsWith('<?', i)) {
+      i = skipTo('?>', i + 2) + 2;
+    } else if (xml.startsWith('<!', i)) {
+      i = skipTo('>', i + 2) + 1;
+    } else if (xml[i] === '<') {
+      const end = tagEnd(xml, i + 1);
+
+      if (end === -1) {
+        throw new Error('Malformed XML: unterminated tag');
+      }
+
+      const tag = xml.substring(i + 1, end).trim();
+
+      if (tag[0] === '/') {
+        const name = tag.substring(1).trim();
+
+        if (stack.length === 1 || current.name !== name) {
+          throw new Error(`Malformed XML: unexpected closing tag </${name}>`);
+        }
+
+        stack.pop();
+      } else {
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const nameEnd = body.search(/\s/);
+        const name = nameEnd === -1 ? body : body.substring(0, nameEnd);
+        const element = createElement(name, nameEnd === -1 ? {} : parseAttributes(body.substring(nameEnd)));
+
+        current.children.push(element);
+
+        if (!selfClosing) {
+          stack.push(element);
+        }
+      }
+
+      i = end + 1;
+    } else {
+      const next = xml.indexOf('<', i);
+      const end = next === -1 ? xml.length : next;
+      current.text += decodeEntities(xml.substring(i, end));
+      i = end;
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+  }
+
+  return document;
+};
+
+const childByName = (element, localName) => element.children.find(
+  child => child.localName.toLowerCase() === localName.toLowerCase()
+);
+
+// SOAP 1.1 (faultcode/faultstring) and SOAP 1.2 (Code/Value, Reason/Text) faults
+const parseFault = (fault) => {
+  const text = (element) => (element ? element.text.trim() : undefined);
+  const code12 = childByName(fault, 'Code');
+  const reason12 = childByName(fault, 'Reason');
+  const detail = childByName(fault, 'detail') || childByName(fault, 'Detail');
+
+  return {
+    code: text(childByName(fault, 'faultcode')) || (code12 ? text(childByName(code12, 'Value')) : undefined),
+    reason: text(childByName(fault, 'faultstring')) || (reason12 ? text(childByName(reason12, 'Text')) : undefined),
+    actor: text(childByName(fault, 'faultactor')) || text(childByName(fault, 'Role')),
+    detail: detail ? leafValues(detail) : undefined
+  };
+};
+
+// Flatten every leaf element below an element into { localname: text }, first occurrence
+// wins. A leaf whose text is itself XML (a string-typed *Result) is parsed and flattened too.
+const leafValues = (element, values = {}) => {
+  for (const child of element.children) {
+    if (child.children.length > 0) {
+      leafValues(child, values);
+      continue;
+    }
+
+    const text = child.text.trim();
+
+    if (text.startsWith('<')) {
+      try {
+        leafValues(parseXml(text), values);
+        continue;
+      } catch (error) {
+        // Not XML after all - keep it as text
+      }
+    }
+
+    const key = child.localName.toLowerCase();
+
+    if (values[key] === undefined) {
+      values[key] = text;
+    }
+  }
+
+  return values;
+};
+
+// Parse a SOAP response. Resolves to { fields, fault } where fields maps lowercased
+// element names in the Body to their text. Throws if the payload is not a SOAP envelope.
+const parseEnvelope = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new Error('Empty response from provider');
+  }
+
+  if (/^\s*(<!doctype html|<html)/i.test(xml)) {
+    throw new Error('Provider returned HTML error page instead of XML response');
+  }
+
+  const document = parseXml(xml);
+  const envelope = childByName(document, 'Envelope');
+  const body = envelope && childByName(envelope, 'Body');
+
+  if (!body) {
+    throw new Error('Response is not a SOAP envelope');
+  }
+
+  const fault = childByName(body, 'Fault');
+
+  return {
+    fields: fault ? {} : leafValues(body),
+    fault: fault ? parseFault(fault) : null
+  };
+};
+
+module.exports = {
+  SoapFaultError,
+  decodeEntities,
+  parseXml,
+  parseEnvelope
+};
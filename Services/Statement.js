@@ -0,0 +1,341 @@
+// services/Statement.js - Provider statement import and settlement matching
+//
+// Finance uploads the provider's monthly settlement CSV. Each line is matched against
+// IshareTransfer by any of our three transaction ids and stored once, keyed on the
+// provider's own reference, so importing the same or an overlapping file again only
+// refreshes the match results.
+const crypto = require('crypto');
+const { IshareTransfer, ProviderStatement, ProviderStatementLine } = require('../Schema/Schema');
+
+// Normalised CSV header -> line field. Headers are lowercased with everything but letters and digits removed.
+const COLUMN_ALIASES = {
+  externalTransactionId: ['transactionid', 'externaltransactionid', 'tranxid', 'clientreference', 'reference'],
+  systemTransactionId: ['systemtranxid', 'systemtransactionid', 'systemid'],
+  vendorTransactionId: ['vendortranxid', 'vendortransactionid', 'vendorid'],
+  amountMB: ['amountmb', 'amount', 'sharedbundle', 'bundle', 'datamb', 'mb'],
+  amountGB: ['amountgb', 'datagb', 'gb'],
+  recipientMsisdn: ['recipientmsisdn', 'recipient', 'msisdn', 'phonenumber'],
+  providerStatus: ['status', 'responsemsg', 'result'],
+  chargedAt: ['date', 'transactiondate', 'datetime', 'timestamp', 'createdat']
+};
+
+const ID_FIELDS = ['externalTransactionId', 'systemTransactionId', 'vendorTransactionId'];
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_COLUMNS = [
+  'category', 'externalTransactionId', 'systemTransactionId', 'vendorTransactionId',
+  'providerAmountMB', 'ourAmountMB', 'ourStatus', 'recipient', 'date'
+];
+
+class StatementService {
+  // RFC 4180 CSV - quoted fields, escaped quotes, CRLF or LF line endings
+  parseCsv(content) {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  csvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Map header positions to line fields. Returns null if no id column is recognised.
+  mapColumns(header) {
+    const columns = {};
+
+    header.forEach((name, index) => {
+      const normalised = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+      for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        if (columns[field] === undefined && aliases.includes(normalised)) {
+          columns[field] = index;
+        }
+      }
+    });
+
+    return ID_FIELDS.some(field => columns[field] !== undefined) ? columns : null;
+  }
+
+  toLine(cells, header, columns) {
+    const value = (field) => columns[field] === undefined ? '' : String(cells[columns[field]] || '').trim();
+    const line = { raw: {} };
+
+    header.forEach((name, index) => {
+      line.raw[name] = cells[index];
+    });
+
+    for (const field of ID_FIELDS) {
+      line[field] = value(field) || undefined;
+    }
+
+    const amountMB = parseFloat(value('amountMB').replace(/[^0-9.]/g, ''));
+    const amountGB = parseFloat(value('amountGB').replace(/[^0-9.]/g, ''));
+    line.amountMB = !isNaN(amountMB) ? Math.round(amountMB) : !isNaN(amountGB) ? Math.round(amountGB * 1024) : undefined;
+
+    line.recipientMsisdn = value('recipientMsisdn') || undefined;
+    line.providerStatus = value('providerStatus') || undefined;
+
+    const chargedAt = value('chargedAt') ? new Date(value('chargedAt')) : null;
+    line.chargedAt = chargedAt && !isNaN(chargedAt.getTime()) ? chargedAt : undefined;
+
+    // Prefer the provider's own references; fall back to a hash of the row
+    line.lineKey = line.systemTransactionId ? `system:${line.systemTransactionId}`
+      : line.vendorTransactionId ? `vendor:${line.vendorTransactionId}`
+        : line.externalTransactionId ? `external:${line.externalTransactionId}`
+          : `row:${crypto.createHash('sha256').update(cells.join('|')).digest('hex')}`;
+
+    return line;
+  }
+
+  // Last instant a date covers - a date written without a time ("2026-03-31") stands for the whole day
+  endOf(text, date = new Date(text)) {
+    return /\d:\d\d/.test(text) ? date : new Date(date.getTime() + DAY_MS - 1);
+  }
+
+  // Look up the transfers a batch of lines refers to, indexed by every id they carry
+  async findTransfers(lines) {
+    const or = ID_FIELDS
+      .map(field => ({ [field]: { $in: lines.map(line => line[field]).filter(Boolean) } }))
+      .filter(condition => Object.values(condition)[0].$in.length > 0);
+
+    if (or.length === 0) {
+      return new Map();
+    }
+
+    const transfers = await IshareTransfer.find({ $or: or })
+      .select('externalTransactionId systemTransactionId vendorTransactionId amountMB status');
+    const byId = new Map();
+
+    for (const transfer of transfers) {
+      for (const field of ID_FIELDS) {
+        if (transfer[field]) {
+          byId.set(`${field}:${transfer[field]}`, transfer);
+        }
+      }
+    }
+
+    return byId;
+  }
+
+  classify(line, transfer) {
+    if (!transfer) {
+      return { matchStatus: 'unknown_to_us' };
+    }
+
+    if (line.amountMB !== undefined && line.amountMB !== transfer.amountMB) {
+      return { matchStatus: 'amount_mismatch', expectedAmountMB: transfer.amountMB };
+    }
+
+    if (transfer.status !== 'completed') {
+      return { matchStatus: 'status_mismatch' };
+    }
+
+    return { matchStatus: 'matched' };
+  }
+
+  // Import a statement file. Resolves to { status: 'invalid', error } or { status: 'imported', statement, report }
+  async import({ content, filename, importedBy, periodStart, periodEnd }) {
+    const rows = this.parseCsv(content);
+
+    if (rows.length < 2) {
+      return { status: 'invalid', error: 'Statement must have a header row and at least one line' };
+    }
+
+    const [header, ...dataRows] = rows;
+    const columns = this.mapColumns(header);
+
+    if (!columns) {
+      return {
+        status: 'invalid',
+        error: 'No transaction id column found. Expected one of: TransactionId, SystemTranxId, VendorTranxId'
+      };
+    }
+
+    const lines = dataRows.map(cells => this.toLine(cells, header, columns));
+    const checksum = crypto.createHash('sha256').update(String(content)).digest('hex');
+
+    const dates = lines.map(line => line.chargedAt).filter(Boolean);
+    const ends = lines
+      .map((line, index) => line.chargedAt && this.endOf(String(dataRows[index][columns.chargedAt]).trim(), line.chargedAt))
+      .filter(Boolean);
+    const start = periodStart || dates.reduce((min, date) => (!min || date < min ? date : min), undefined);
+    const end = periodEnd || ends.reduce((max, date) => (!max || date > max ? date : max), undefined);
+
+    let statement = await ProviderStatement.findOne({ checksum });
+
+    if (statement) {
+      statement.importCount += 1;
+      statement.lastImportedAt = new Date();
+    } else {
+      statement = new ProviderStatement({ filename, checksum, importedBy });
+    }
+
+    statement.periodStart = start;
+    statement.periodEnd = end;
+    statement.lineCount = lines.length;
+    await statement.save();
+
+    let newLines = 0;
+
+    for (let i = 0; i < lines.length; i += BATCH_SIZE) {
+      const batch = lines.slice(i, i + BATCH_SIZE);
+      const transfers = await this.findTransfers(batch);
+
+      const operations = batch.map(line => {
+        const transfer = ID_FIELDS
+          .map(field => line[field] && transfers.get(`${field}:${line[field]}`))
+          .find(Boolean);
+        const { lineKey, ...fields } = line;
+        const match = this.classify(line, transfer);
+        const set = Object.fromEntries(
+          Object.entries({ ...fields, ...match }).filter(([, value]) => value !== undefined)
+        );
+
+        const update = {
+          $set: { ...set, transfer: transfer ? transfer._id : null },
+          $addToSet: { statements: statement._id }
+        };
+
+        // A re-import may have fixed an earlier mismatch
+        if (match.expectedAmountMB === undefined) {
+          update.$unset = { expectedAmountMB: 1 };
+        }
+
+        return { updateOne: { filter: { lineKey }, update, upsert: true } };
+      });
+
+      const result = await ProviderStatementLine.bulkWrite(operations, { ordered: true });
+      newLines += result.upsertedCount;
+    }
+
+    const report = await this.report(statement);
+
+    // First import counts its new lines; re-imports keep the original figure
+    if (statement.importCount === 1) {
+      statement.newLines = newLines;
+    }
+    statement.summary = report.summary;
+    await statement.save();
+
+    return { status: 'imported', statement, report, newLines };
+  }
+
+  // Lines of a statement grouped by match result, plus completed transfers in the
+  // statement period that no imported line accounts for
+  async report(statement) {
+    const lines = await ProviderStatementLine.find({ statements: statement._id })
+      .populate('transfer', 'externalTransactionId amountMB status recipientPhoneNumber createdAt')
+      .sort({ chargedAt: 1 });
+
+    const group = (status) => lines.filter(line => line.matchStatus === status);
+    let missingFromProvider = [];
+
+    if (statement.periodStart && statement.periodEnd) {
+      const completed = await IshareTransfer.find({
+        status: 'completed',
+        createdAt: { $gte: statement.periodStart, $lte: statement.periodEnd }
+      }).select('externalTransactionId systemTransactionId vendorTransactionId amountMB recipientPhoneNumber createdAt');
+
+      const seen = new Set(
+        (await ProviderStatementLine.distinct('transfer', { transfer: { $in: completed.map(transfer => transfer._id) } }))
+          .map(id => id.toString())
+      );
+
+      missingFromProvider = completed.filter(transfer => !seen.has(transfer._id.toString()));
+    }
+
+    const report = {
+      matched: group('matched'),
+      unknownToUs: group('unknown_to_us'),
+      amountMismatch: group('amount_mismatch'),
+      statusMismatch: group('status_mismatch'),
+      missingFromProvider
+    };
+
+    report.summary = Object.fromEntries(
+      Object.entries(report).map(([category, items]) => [category, items.length])
+    );
+
+    return report;
+  }
+
+  // Flatten a report into CSV for the finance spreadsheet
+  reportToCsv(report) {
+    const rows = [REPORT_COLUMNS];
+
+    for (const category of ['unknownToUs', 'amountMismatch', 'statusMismatch', 'matched']) {
+      for (const line of report[category]) {
+        rows.push([
+          category,
+          line.externalTransactionId,
+          line.systemTransactionId,
+          line.vendorTransactionId,
+          line.amountMB,
+          line.transfer ? line.transfer.amountMB : '',
+          line.transfer ? line.transfer.status : '',
+          line.recipientMsisdn,
+          line.chargedAt ? line.chargedAt.toISOString() : ''
+        ]);
+      }
+    }
+
+    for (const transfer of report.missingFromProvider) {
+      rows.push([
+        'missingFromProvider',
+        transfer.externalTransactionId,
+        transfer.systemTransactionId,
+        transfer.vendorTransactionId,
+        '',
+        transfer.amountMB,
+        'completed',
+        transfer.recipientPhoneNumber,
+        transfer.createdAt.toISOString()
+      ]);
+    }
+
+    return rows.map(row => row.map(value => this.csvValue(value)).join(',')).join('\n');
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,578 @@
+// services/Transfer.js - Shared iShare transfer pipeline
+const { User, IshareTransfer, Transaction, JournalEntry, TransferJob } = require('../Schema/Schema');
+const withTransaction = require('../Connection/transaction');
+const walletService = require('./Wallet');
+const dealerFloatService = require('./DealerFloat');
+const providerRouter = require('./ProviderRouter');
+const resilienceService = require('./Resilience');
+const providerCallJournal = require('./ProviderCallJournal');
+const providerThrottle = require('./ProviderThrottle');
+const webhookService = require('./Webhooks');
+const {
+  ProviderError,
+  InvalidRecipientError,
+  InsufficientDealerStockError,
+  CircuitOpenError
+} = require('./ProviderErrors');
+
+// How long a delivery in flight keeps the resolver away from its transfer. Renewed while
+// the call waits on the throttle and retries, so it only lapses if this process dies.
+const DELIVERY_LEASE_MS = 2 * 60 * 1000;
+
+// What the provider told us, kept on the transfer (raw bodies live in the provider call journal)
+const summarizeProviderResponse = (result) => {
+  if (!result) {
+    return undefined;
+  }
+
+  if (result instanceof Error) {
+    return {
+      error: result.message,
+      code: result.code,
+      providerCode: result.providerCode,
+      transportCode: result.transportCode,
+      outcomeUnknown: !!result.outcomeUnknown,
+      at: new Date()
+    };
+  }
+
+  return {
+    success: result.success,
+    responseCode: result.responseCode,
+    message: result.message,
+    systemTransactionId: result.systemTransactionId,
+    vendorTransactionId: result.vendorTransactionId,
+    attempts: result.attempts,
+    confirmedByStatus: result.confirmedByStatus,
+    fault: result.fault,
+    parseError: result.parseError,
+    code: result.error ? result.error.code : undefined,
+    at: new Date()
+  };
+};
+
+class TransferService {
+  constructor() {
+    this.deliveryLeaseMs = DELIVERY_LEASE_MS;
+  }
+
+  // Place a hold on the sender's balance and create the pending transfer in one
+  // MongoDB transaction. Returns null when the available balance cannot cover the amount.
+  // With `queued`, the delivery job is created in the same transaction.
+  async reserve({ sender, recipientPhoneNumber, amountMB, note, method, transactionId, provider, network, queued = false }) {
+    const reserved = await withTransaction(async (session) => {
+      // Conditional hold - only succeeds if the available balance still covers the amount
+      const heldSender = await walletService.hold(sender._id, amountMB, { session });
+
+      if (!heldSender) {
+        return null;
+      }
+
+      const [transfer] = await IshareTransfer.create([{
+        sender: sender._id,
+        recipientPhoneNumber,
+        recipient: null,
+        amountMB,
+        note: note || '',
+        status: 'pending',
+        method,
+        provider,
+        network,
+        queued,
+        externalTransactionId: transactionId
+      }], { session });
+
+      if (queued) {
+        await TransferJob.create([{ transfer: transfer._id, provider }], { session });
+      }
+
+      return { transfer, wallet: walletService.summary(heldSender) };
+    });
+
+    if (reserved) {
+      webhookService.balanceLowered(sender._id, reserved.wallet, amountMB);
+    }
+
+    return reserved;
+  }
+
+  // Provider confirmed delivery - complete the transfer, settle the hold and record the debit.
+  // `resolution` ({ reason, performedBy }) records an admin settling the transfer by hand.
+  async complete(transfer, apiResult, method = transfer.method, resolution = null) {
+    const settled = await withTransaction(async (session) => {
+      const update = {
+        status: 'completed',
+        systemTransactionId: apiResult.systemTransactionId,
+        vendorTransactionId: apiResult.vendorTransactionId,
+        providerResponse: summarizeProviderResponse(apiResult)
+      };
+
+      if (resolution) {
+        update.manualResolution = { ...resolution, resolvedAt: new Date() };
+      }
+
+      // Only the first caller to move the transfer out of 'pending'/'unknown' settles it
+      const completedTransfer = await IshareTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: { $in: ['pending', 'unknown'] } },
+        update,
+        { new: true, session }
+      );
+
+      if (!completedTransfer) {
+        return { transfer, wallet: null };
+      }
+
+      const updatedSender = await walletService.settleHold(completedTransfer, { method, resolution, session });
+
+      return { transfer: completedTransfer, wallet: walletService.summary(updatedSender) };
+    });
+
+    // Only the call that actually settled the transfer announces it
+    if (settled.wallet) {
+      webhookService.transferEvent('transfer.completed', settled.transfer);
+    }
+
+    return settled;
+  }
+
+  // Delivery failed - fail the transfer and release the hold (no balance is deducted).
+  // `resolution` as for complete().
+  async release(transfer, failureReason, type, method = transfer.method, apiResult = null, resolution = null) {
+    const released = await withTransaction(async (session) => {
+      const update = { status: 'failed', failureReason: String(failureReason).substring(0, 500) };
+
+      if (apiResult) {
+        update.providerResponse = summarizeProviderResponse(apiResult);
+      }
+
+      if (resolution) {
+        update.manualResolution = { ...resolution, resolvedAt: new Date() };
+      }
+
+      const failedTransfer = await IshareTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: { $in: ['pending', 'unknown'] } },
+        update,
+        { new: true, session }
+      );
+
+      if (!failedTransfer) {
+        return { transfer, wallet: null };
+      }
+
+      const updatedSender = await walletService.releaseHold(transfer.sender, transfer.amountMB, { session });
+
+      // Zero-amount record - nothing was debited, the hold is simply released
+      await Transaction.create([{
+        user: transfer.sender,
+        type,
+        amount: 0,
+        method,
+        ishareTransfer: transfer._id,
+        performedBy: resolution ? resolution.performedBy : undefined,
+        description: `Failed to send ${transfer.amountMB}MB to ${transfer.recipientPhoneNumber} - ${failureReason}`
+      }], { session });
+
+      return { transfer: failedTransfer, wallet: walletService.summary(updatedSender) };
+    });
+
+    if (released.wallet) {
+      webhookService.transferEvent('transfer.failed', released.transfer);
+    }
+
+    return released;
+  }
+
+  // Provider call timed out - keep the hold and let the resolution worker find out what happened
+  async markUnknown(transfer, reason, error = null) {
+    const unknownTransfer = await IshareTransfer.findOneAndUpdate(
+      { _id: transfer._id, status: 'pending' },
+      {
+        status: 'unknown',
+        failureReason: String(reason).substring(0, 500),
+        providerResponse: summarizeProviderResponse(error),
+        nextResolutionAt: new Date(Date.now() + 60 * 1000)
+      },
+      { new: true }
+    );
+
+    const sender = await User.findById(transfer.sender).select('ishareBalance heldBalance');
+
+    return {
+      transfer: unknownTransfer || transfer,
+      wallet: sender ? walletService.summary(sender) : null
+    };
+  }
+
+  // Admin undo: 'transfer_reversed' gives back a completed transfer, 'refund' compensates
+  // a failed one. Resolves to
+  // { status: 'not_found' | 'not_eligible' | 'invalid_amount' | 'already_reversed' | 'reversed', ... }
+  async reverse(transferId, { type, amountMB, reason, performedBy }) {
+    const eligibleStatus = type === 'refund' ? 'failed' : 'completed';
+
+    const result = await withTransaction(async (session) => {
+      const transfer = await IshareTransfer.findById(transferId).session(session);
+
+      if (!transfer) {
+        return { status: 'not_found' };
+      }
+
+      if (transfer.status !== eligibleStatus) {
+        return { status: 'not_eligible', transfer };
+      }
+
+      const amount = amountMB || transfer.amountMB;
+
+      if (amount > transfer.amountMB) {
+        return { status: 'invalid_amount', transfer };
+      }
+
+      // Claim the transfer - a second reversal or refund finds reversal.reversedAt already set
+      const claimed = await IshareTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: eligibleStatus, 'reversal.reversedAt': null },
+        {
+          reversal: {
+            type,
+            amountMB: amount,
+            reason,
+            performedBy,
+            reversedAt: new Date()
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!claimed) {
+        return { status: 'already_reversed', transfer };
+      }
+
+      // The row being undone: the debit for a reversal, the failure record for a refund
+      const original = await Transaction.findOne({
+        ishareTransfer: transfer._id,
+        type: type === 'refund' ? { $in: ['transfer_failed', 'transfer_error'] } : 'transfer_sent'
+      }).sort({ createdAt: 1 }).session(session);
+
+      const { transaction, user } = await walletService.creditTransfer(claimed, {
+        type,
+        amountMB: amount,
+        reason,
+        performedBy,
+        reverses: original ? original._id : undefined,
+        session
+      });
+
+      claimed.reversal.transaction = transaction._id;
+      await claimed.save({ session });
+
+      return {
+        status: 'reversed',
+        transfer: claimed,
+        original,
+        transaction,
+        wallet: walletService.summary(user)
+      };
+    });
+
+    if (result.status === 'reversed') {
+      const { transfer, transaction, wallet } = result;
+      webhookService.transferEvent('transfer.reversed', transfer);
+      webhookService.balanceCredited(transfer.sender, wallet, {
+        amountMB: transaction.amount,
+        type,
+        description: transaction.description
+      });
+    }
+
+    return result;
+  }
+
+  // Everything recorded against a transfer, oldest first - for support tracing a refund back
+  async chain(transferId) {
+    const transfer = await IshareTransfer.findById(transferId)
+      .populate('sender', 'name email')
+      .populate('reversal.performedBy', 'name email');
+
+    if (!transfer) {
+      return null;
+    }
+
+    const [transactions, journalEntries, providerCalls] = await Promise.all([
+      Transaction.find({ ishareTransfer: transfer._id })
+        .populate('performedBy', 'name email')
+        .sort({ createdAt: 1 }),
+      JournalEntry.find({ ishareTransfer: transfer._id }).sort({ createdAt: 1 }),
+      providerCallJournal.forTransfer(transfer)
+    ]);
+
+    return { transfer, transactions, journalEntries, providerCalls };
+  }
+
+  // Route the transfer, run the pre-flight checks and hold the balance.
+  // Resolves to { status: 'reserved', transfer, wallet, provider } or a refusal:
+  // { status: 'unsupported_network' | 'provider_unavailable' | 'out_of_stock' | 'insufficient_balance', ... }
+  async prepare({ sender, phoneNumber, amountMB, note, method = 'web', queued = false }) {
+    const route = await providerRouter.resolve(phoneNumber);
+
+    if (!route.adapter) {
+      const message = route.network
+        ? `Transfers to ${route.network} numbers are not available yet`
+        : 'Could not determine the recipient network';
+
+      return {
+        status: 'unsupported_network',
+        network: route.network,
+        requested: amountMB,
+        error: new InvalidRecipientError(message, { code: 'UNSUPPORTED_NETWORK', userMessage: message })
+      };
+    }
+
+    const provider = route.adapter;
+
+    // Circuit open - fail fast before holding any balance
+    if (!resilienceService.isAvailable(provider.id)) {
+      return {
+        status: 'provider_unavailable',
+        provider: provider.id,
+        requested: amountMB,
+        error: new CircuitOpenError(provider.id, resilienceService.breakerFor(provider.id).retryAt())
+      };
+    }
+
+    const float = await dealerFloatService.canTransfer(amountMB, provider.id);
+
+    if (!float.allowed) {
+      return {
+        status: 'out_of_stock',
+        requested: amountMB,
+        error: new InsufficientDealerStockError(
+          `Dealer float ${float.available}MB cannot cover ${amountMB}MB`,
+          { provider: provider.id }
+        )
+      };
+    }
+
+    const transactionId = provider.generateTransactionId(method === 'api' ? 'API' : 'WEB');
+
+    const reserved = await this.reserve({
+      sender,
+      recipientPhoneNumber: phoneNumber,
+      amountMB,
+      note,
+      method,
+      transactionId,
+      provider: provider.id,
+      network: route.network,
+      queued
+    });
+
+    if (!reserved) {
+      const current = await User.findById(sender._id).select('ishareBalance heldBalance');
+      return {
+        status: 'insufficient_balance',
+        wallet: current ? walletService.summary(current) : null,
+        requested: amountMB
+      };
+    }
+
+    console.log('Transfer reserved:', reserved.transfer._id, 'Transaction ID:', transactionId, 'Provider:', provider.id, `(${route.reason})`, queued ? '[queued]' : '');
+
+    return { status: 'reserved', provider, ...reserved };
+  }
+
+  // Hold the balance, call the provider and settle the outcome before returning.
+  // Resolves to { status: 'unsupported_network' | 'provider_unavailable' | 'out_of_stock' |
+  // 'insufficient_balance' | 'completed' | 'failed' | 'unknown' | 'error', ... }. `onReserved` is called
+  // with the transfer as soon as the balance is held.
+  async send({ sender, phoneNumber, amountMB, note, method = 'web', onReserved = null }) {
+    const prepared = await this.prepare({ sender, phoneNumber, amountMB, note, method });
+
+    if (prepared.status !== 'reserved') {
+      return prepared;
+    }
+
+    // The balance is held from here on, even if delivery throws
+    if (onReserved) {
+      onReserved(prepared.transfer);
+    }
+
+    return this.deliver(prepared.transfer, { method });
+  }
+
+  // Hold the balance and leave delivery to the transfer queue.
+  // Resolves to { status: 'queued', transfer, wallet } or one of the refusals from prepare().
+  async submit({ sender, phoneNumber, amountMB, note, method = 'web' }) {
+    const prepared = await this.prepare({ sender, phoneNumber, amountMB, note, method, queued: true });
+
+    if (prepared.status !== 'reserved') {
+      return prepared;
+    }
+
+    return { status: 'queued', transfer: prepared.transfer, wallet: prepared.wallet };
+  }
+
+  // Call the provider for a reserved transfer and settle the outcome. `recovering` is set
+  // when an earlier delivery attempt may have reached the provider before it was interrupted.
+  // `heartbeat` is called each time the delivery lease is renewed, so a caller holding its
+  // own lease (the transfer queue) can keep it alive for as long as the delivery runs.
+  // Resolves to { status: 'skipped', leaseHeld: true } when another delivery is in flight.
+  async deliver(transfer, { method = transfer.method, recovering = false, heartbeat = null } = {}) {
+    const provider = providerRouter.adapterFor(transfer);
+
+    if (transfer.status !== 'pending') {
+      return { status: 'skipped', transfer, wallet: null };
+    }
+
+    if (!provider) {
+      const released = await this.release(transfer, `Provider "${transfer.provider}" is not registered`, 'transfer_error', method);
+      return { status: 'error', error: new ProviderError(`Provider "${transfer.provider}" is not registered`), ...released };
+    }
+
+    const dropLease = await this.leaseDelivery(transfer, heartbeat);
+
+    if (!dropLease) {
+      return { status: 'skipped', leaseHeld: true, transfer, wallet: null };
+    }
+
+    try {
+      return await this.attemptDelivery(transfer, provider, { method, recovering });
+    } finally {
+      await dropLease();
+    }
+  }
+
+  // Take the delivery lease on a pending transfer and keep it fresh until the returned
+  // function is called. Resolves to null when the transfer is no longer pending or another
+  // delivery holds an unexpired lease.
+  async leaseDelivery(transfer, heartbeat = null) {
+    const now = new Date();
+    const taken = await IshareTransfer.updateOne(
+      {
+        _id: transfer._id,
+        status: 'pending',
+        $or: [{ deliveringUntil: null }, { deliveringUntil: { $lte: now } }]
+      },
+      { deliveringUntil: new Date(now.getTime() + DELIVERY_LEASE_MS) }
+    );
+
+    if (taken.matchedCount === 0) {
+      return null;
+    }
+
+    const renew = async () => {
+      await IshareTransfer.updateOne(
+        { _id: transfer._id },
+        { deliveringUntil: new Date(Date.now() + DELIVERY_LEASE_MS) }
+      );
+
+      if (heartbeat) {
+        await heartbeat();
+      }
+    };
+
+    const timer = setInterval(() => {
+      renew().catch(error => {
+        console.error(`Failed to renew delivery lease for transfer ${transfer._id}:`, error.message);
+      });
+    }, DELIVERY_LEASE_MS / 4);
+
+    timer.unref();
+
+    return async () => {
+      clearInterval(timer);
+
+      await IshareTransfer.updateOne({ _id: transfer._id }, { deliveringUntil: null }).catch(error => {
+        console.error(`Failed to drop delivery lease for transfer ${transfer._id}:`, error.message);
+      });
+    };
+  }
+
+  async attemptDelivery(transfer, provider, { method, recovering }) {
+    const { recipientPhoneNumber: phoneNumber, amountMB, externalTransactionId: transactionId } = transfer;
+
+    // Never send twice - ask the provider whether the interrupted attempt went through
+    if (recovering) {
+      const check = await resilienceService.landed(provider, transactionId);
+
+      if (check.landed === null) {
+        throw ProviderError.from(check.error, provider.id);
+      }
+
+      if (check.landed) {
+        return this.settleDelivered(transfer, { ...check.status, success: true, confirmedByStatus: true }, provider, method);
+      }
+    }
+
+    let apiResult;
+
+    try {
+      apiResult = await providerThrottle.run(provider.id, () =>
+        resilienceService.sendTransfer(provider, phoneNumber, amountMB, transactionId));
+    } catch (thrown) {
+      const providerError = ProviderError.from(thrown, provider.id);
+
+      console.error('Provider API Error Details:', {
+        message: providerError.message,
+        phoneNumber,
+        amountMB,
+        transactionId
+      });
+
+      // A timeout may still have delivered - don't refund until the provider confirms
+      if (providerError.outcomeUnknown) {
+        const unknown = await this.markUnknown(transfer, providerError.message, providerError);
+        return { status: 'unknown', error: providerError, ...unknown };
+      }
+
+      // Any other network error means the request never reached the provider
+      const released = await this.release(
+        transfer,
+        providerError.message || 'Provider service unavailable',
+        'transfer_error',
+        method,
+        providerError
+      );
+
+      return { status: 'error', error: providerError, ...released };
+    }
+
+    // Settled outside the provider-call try: a failure to record a delivery must never
+    // be mistaken for the provider being unreachable
+    if (apiResult.success) {
+      return this.settleDelivered(transfer, apiResult, provider, method);
+    }
+
+    const released = await this.release(
+      transfer,
+      apiResult.message || 'Provider API call failed',
+      'transfer_failed',
+      method,
+      apiResult
+    );
+
+    // A 319 ("No balance") means the dealer ran dry despite the guard - re-read the float
+    dealerFloatService.refreshAfterTransfer(provider.id);
+    return { status: 'failed', apiResult, error: apiResult.error || provider.errorFor(apiResult), ...released };
+  }
+
+  // The provider delivered - settle the hold. If that fails the recipient still has the
+  // data, so the transfer is never released: it is marked unknown (or, if even that
+  // fails, left pending) for the resolution worker to confirm and settle.
+  async settleDelivered(transfer, apiResult, provider, method) {
+    try {
+      const settled = await this.complete(transfer, apiResult, method);
+      dealerFloatService.refreshAfterTransfer(provider.id);
+      return { status: 'completed', apiResult, ...settled };
+    } catch (error) {
+      console.error(`Transfer ${transfer._id} was delivered but could not be settled:`, error.message);
+
+      const unknown = await this.markUnknown(transfer, `Delivered but settlement failed: ${error.message}`, error)
+        .catch(markError => {
+          console.error(`Could not mark transfer ${transfer._id} unknown - left pending for the resolver:`, markError.message);
+          return { transfer, wallet: null };
+        });
+
+      return { status: 'unknown', apiResult, ...unknown };
+    }
+  }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,240 @@
+// services/TransferBatch.js - Many transfers submitted and reserved as one
+//
+// Every item is checked before anything is touched: each number must parse, each
+// network must have a provider, and each provider must be up with enough dealer float
+// for its share of the batch. Then the whole total is held on the wallet and every
+// transfer is created with its TransferJob in one MongoDB transaction, so a batch is
+// accepted in full or not at all. The transfer queue delivers the items like any other
+// async transfer. A batch's outcome is read from its transfers, never stored twice.
+const { User, IshareTransfer, TransferJob, TransferBatch } = require('../Schema/Schema');
+const withTransaction = require('../Connection/transaction');
+const walletService = require('./Wallet');
+const dealerFloatService = require('./DealerFloat');
+const providerRouter = require('./ProviderRouter');
+const resilienceService = require('./Resilience');
+const statementService = require('./Statement');
+const webhookService = require('./Webhooks');
+const msisdn = require('./Msisdn');
+const { InsufficientDealerStockError, CircuitOpenError } = require('./ProviderErrors');
+
+const MAX_ITEMS = parseInt(process.env.TRANSFER_BATCH_MAX_ITEMS) || 1000;
+const MIN_AMOUNT_MB = 50;
+
+const CSV_COLUMNS = ['reference', 'phone_number', 'network', 'amount_mb', 'status', 'transaction_id', 'failure_reason', 'updated_at'];
+
+class TransferBatchService {
+  constructor() {
+    this.maxItems = MAX_ITEMS;
+  }
+
+  // Check and route every item. Resolves to { errors: [{ index, reference, reason, error }] }
+  // when any item is unusable, otherwise { items } with the number normalized and routed.
+  async validate(items) {
+    const errors = [];
+    const routed = [];
+    const references = new Set();
+
+    for (const [index, item] of items.entries()) {
+      const fail = (reason, error) => errors.push({ index, reference: item.reference, reason, error });
+
+      if (references.has(item.reference)) {
+        fail('DUPLICATE_REFERENCE', `Reference "${item.reference}" is used by more than one item`);
+        continue;
+      }
+
+      references.add(item.reference);
+
+      if (!Number.isInteger(item.amountMB) || item.amountMB < MIN_AMOUNT_MB) {
+        fail('INVALID_AMOUNT', `amountMB must be a whole number of at least ${MIN_AMOUNT_MB} (provider requirement)`);
+        continue;
+      }
+
+      const phone = msisdn.check(item.phoneNumber);
+
+      if (!phone.valid) {
+        fail(phone.reason, phone.message);
+        continue;
+      }
+
+      const route = await providerRouter.resolve(phone.e164);
+
+      if (!route.adapter) {
+        fail('UNSUPPORTED_NETWORK', route.network
+          ? `Transfers to ${route.network} numbers are not available yet`
+          : 'Could not determine the recipient network');
+        continue;
+      }
+
+      routed.push({ ...item, phoneNumber: phone.e164, network: route.network, provider: route.adapter });
+    }
+
+    return errors.length ? { errors } : { items: routed };
+  }
+
+  // Validate, run the provider checks and reserve the whole batch.
+  // Resolves to { status: 'queued', batch, transfers, wallet } or a refusal:
+  // { status: 'invalid' | 'provider_unavailable' | 'out_of_stock' | 'insufficient_balance', ... }
+  async submit({ sender, items, reference, method = 'api' }) {
+    const checked = await this.validate(items);
+
+    if (checked.errors) {
+      return { status: 'invalid', errors: checked.errors };
+    }
+
+    const totalMB = checked.items.reduce((sum, item) => sum + item.amountMB, 0);
+    const byProvider = new Map();
+
+    for (const item of checked.items) {
+      const share = byProvider.get(item.provider.id) || { provider: item.provider, amountMB: 0 };
+      share.amountMB += item.amountMB;
+      byProvider.set(item.provider.id, share);
+    }
+
+    // Circuit open or float too low for its share - refuse before holding any balance
+    for (const { provider, amountMB } of byProvider.values()) {
+      if (!resilienceService.isAvailable(provider.id)) {
+        return {
+          status: 'provider_unavailable',
+          provider: provider.id,
+          error: new CircuitOpenError(provider.id, resilienceService.breakerFor(provider.id).retryAt())
+        };
+      }
+
+      const float = await dealerFloatService.canTransfer(amountMB, provider.id);
+
+      if (!float.allowed) {
+        return {
+          status: 'out_of_stock',
+          provider: provider.id,
+          requested: amountMB,
+          error: new InsufficientDealerStockError(
+            `Dealer float ${float.available}MB cannot cover batch share of ${amountMB}MB`,
+            { provider: provider.id }
+          )
+        };
+      }
+    }
+
+    const transactionIds = new Set();
+    const transactionIdFor = (provider) => {
+      let transactionId;
+
+      // Ids are time-based - make sure items created in the same millisecond differ
+      do {
+        transactionId = provider.generateTransactionId(method === 'api' ? 'API' : 'WEB');
+      } while (transactionIds.has(transactionId));
+
+      transactionIds.add(transactionId);
+      return transactionId;
+    };
+
+    const reserved = await withTransaction(async (session) => {
+      const heldSender = await walletService.hold(sender._id, totalMB, { session });
+
+      if (!heldSender) {
+        return null;
+      }
+
+      const [batch] = await TransferBatch.create([{
+        user: sender._id,
+        reference,
+        itemCount: checked.items.length,
+        totalMB,
+        method
+      }], { session });
+
+      const transfers = await IshareTransfer.insertMany(checked.items.map(item => ({
+        sender: sender._id,
+        recipientPhoneNumber: item.phoneNumber,
+        recipient: null,
+        amountMB: item.amountMB,
+        note: item.note || '',
+        status: 'pending',
+        method,
+        provider: item.provider.id,
+        network: item.network,
+        queued: true,
+        batch: batch._id,
+        clientReference: item.reference,
+        externalTransactionId: transactionIdFor(item.provider)
+      })), { session });
+
+      await TransferJob.insertMany(transfers.map(transfer => ({
+        transfer: transfer._id,
+        provider: transfer.provider
+      })), { session });
+
+      return { batch, transfers, wallet: walletService.summary(heldSender) };
+    });
+
+    if (!reserved) {
+      const current = await User.findById(sender._id).select('ishareBalance heldBalance');
+      return {
+        status: 'insufficient_balance',
+        wallet: current ? walletService.summary(current) : null,
+        requested: totalMB
+      };
+    }
+
+    console.log(`Transfer batch reserved: ${reserved.batch._id} - ${checked.items.length} items, ${totalMB}MB`);
+    webhookService.balanceLowered(sender._id, reserved.wallet, totalMB);
+
+    return { status: 'queued', ...reserved };
+  }
+
+  item(transfer) {
+    return {
+      reference: transfer.clientReference,
+      phoneNumber: transfer.recipientPhoneNumber,
+      network: transfer.network,
+      amountMB: transfer.amountMB,
+      status: transfer.status,
+      transactionId: transfer.externalTransactionId,
+      failureReason: transfer.status === 'failed' ? transfer.failureReason : undefined,
+      updatedAt: transfer.updatedAt
+    };
+  }
+
+  // The batch with each item's current outcome. 'processing' until no item is pending or unknown.
+  async status(batch) {
+    const transfers = await IshareTransfer.find({ batch: batch._id }).sort({ _id: 1 });
+    const counts = { completed: 0, failed: 0, pending: 0, unknown: 0 };
+
+    for (const transfer of transfers) {
+      counts[transfer.status] += 1;
+    }
+
+    const deliveredMB = transfers
+      .filter(transfer => transfer.status === 'completed')
+      .reduce((sum, transfer) => sum + transfer.amountMB, 0);
+
+    return {
+      id: batch._id,
+      reference: batch.reference,
+      status: counts.pending + counts.unknown > 0 ? 'processing' : 'completed',
+      itemCount: batch.itemCount,
+      totalMB: batch.totalMB,
+      deliveredMB,
+      counts,
+      createdAt: batch.createdAt,
+      items: transfers.map(transfer => this.item(transfer))
+    };
+  }
+
+  toCsv(status) {
+    const rows = [CSV_COLUMNS, ...status.items.map(item => [
+      item.reference,
+      item.phoneNumber,
+      item.network,
+      item.amountMB,
+      item.status,
+      item.transactionId,
+      item.failureReason,
+      item.updatedAt ? item.updatedAt.toISOString() : ''
+    ])];
+
+    return rows.map(row => row.map(value => statementService.csvValue(value)).join(',')).join('\n');
+  }
+}
+
+module.exports = new TransferBatchService();
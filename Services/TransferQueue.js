@@ -0,0 +1,200 @@
+// services/TransferQueue.js - Durable outbound transfer queue
+//
+// Transfers submitted in async mode are reserved with a TransferJob in the same MongoDB
+// transaction. Workers claim jobs with a lease (lockedBy/lockedUntil) and deliver them
+// through the shared transfer pipeline, so jobs survive restarts: the lease is renewed
+// for as long as the delivery runs, a job whose worker died is claimed again once its
+// lease lapses, and redelivery first asks the provider whether the interrupted attempt
+// already went through.
+const os = require('os');
+const { IshareTransfer, TransferJob } = require('../Schema/Schema');
+const providerRouter = require('./ProviderRouter');
+const resilienceService = require('./Resilience');
+const transferService = require('./Transfer');
+
+const POLL_INTERVAL_MS = parseInt(process.env.TRANSFER_QUEUE_POLL_MS) || 1000;
+const LEASE_MS = (parseInt(process.env.TRANSFER_QUEUE_LEASE_SECONDS) || 300) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.TRANSFER_QUEUE_MAX_ATTEMPTS) || 5;
+const RETRY_DELAY_MS = 30 * 1000;
+
+class TransferQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.TRANSFER_QUEUE_CONCURRENCY) || 4;
+    this.timer = null;
+    this.active = 0;
+    this.filling = false;
+  }
+
+  // Claim the next due job, or one whose worker's lease has lapsed
+  async claim() {
+    const now = new Date();
+
+    return TransferJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', availableAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        status: 'processing',
+        lockedBy: this.workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        $inc: { attempts: 1 }
+      },
+      { sort: { availableAt: 1 }, new: true }
+    );
+  }
+
+  // Extend this worker's lease while the job is still being delivered
+  async renew(job) {
+    await TransferJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId, status: 'processing' },
+      { lockedUntil: new Date(Date.now() + LEASE_MS) }
+    );
+  }
+
+  // Put a job back for later without counting it as dead
+  async defer(job, delayMs, reason) {
+    await TransferJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        status: 'queued',
+        availableAt: new Date(Date.now() + delayMs),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: reason
+      }
+    );
+  }
+
+  async finish(job, status, outcome, lastError) {
+    await TransferJob.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        status,
+        outcome,
+        lastError,
+        lockedUntil: null,
+        finishedAt: new Date()
+      }
+    );
+
+    // Hand the transfer back to the resolver if it is somehow still open
+    await IshareTransfer.updateOne({ _id: job.transfer }, { queued: false });
+  }
+
+  async process(job) {
+    const transfer = await IshareTransfer.findById(job.transfer);
+
+    if (!transfer) {
+      return this.finish(job, 'dead', null, 'Transfer not found');
+    }
+
+    const provider = providerRouter.adapterFor(transfer);
+
+    // Wait out an open circuit instead of failing the transfer
+    if (provider && !resilienceService.isAvailable(provider.id)) {
+      const retryAt = resilienceService.breakerFor(provider.id).retryAt();
+      return this.defer(job, Math.max(retryAt.getTime() - Date.now(), POLL_INTERVAL_MS), `Circuit open for ${provider.id}`);
+    }
+
+    try {
+      const outcome = await transferService.deliver(transfer, {
+        recovering: job.attempts > 1,
+        heartbeat: () => this.renew(job)
+      });
+
+      // Another delivery of this transfer is still running - look again once its lease could have lapsed
+      if (outcome.leaseHeld) {
+        return this.defer(job, transferService.deliveryLeaseMs, 'Delivery already in flight');
+      }
+
+      await this.finish(job, 'done', outcome.status);
+    } catch (error) {
+      console.error(`Transfer job ${job._id} attempt ${job.attempts} failed:`, error.message);
+
+      if (job.attempts >= MAX_ATTEMPTS) {
+        // The resolver settles the transfer from here
+        return this.finish(job, 'dead', null, error.message);
+      }
+
+      await this.defer(job, RETRY_DELAY_MS * job.attempts, error.message);
+    }
+  }
+
+  // Claim jobs until every worker slot is busy
+  async fill() {
+    if (this.filling) {
+      return;
+    }
+
+    this.filling = true;
+
+    try {
+      while (this.timer && this.active < this.concurrency) {
+        const job = await this.claim();
+
+        if (!job) {
+          break;
+        }
+
+        this.active += 1;
+
+        this.process(job)
+          .catch(error => console.error(`Transfer job ${job._id} crashed:`, error.message))
+          .finally(() => {
+            this.active -= 1;
+            this.kick();
+          });
+      }
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  // Look for work now rather than at the next poll
+  kick() {
+    this.fill().catch(error => {
+      console.error('Transfer queue poll failed:', error.message);
+    });
+  }
+
+  async stats() {
+    const counts = await TransferJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const oldestQueued = await TransferJob.findOne({ status: 'queued' }).sort({ availableAt: 1 }).select('availableAt');
+
+    return {
+      worker: this.workerId,
+      running: !!this.timer,
+      concurrency: this.concurrency,
+      active: this.active,
+      jobs: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      oldestQueuedAt: oldestQueued ? oldestQueued.availableAt : null
+    };
+  }
+
+  start(concurrency = this.concurrency) {
+    if (this.timer) {
+      return;
+    }
+
+    this.concurrency = concurrency;
+    this.timer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.kick();
+    console.log(`📬 Transfer queue worker ${this.workerId} running ${concurrency} at a time`);
+  }
+
+  // Stop claiming new jobs - jobs in flight finish, or are reclaimed after their lease
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TransferQueue();
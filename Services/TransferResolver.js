@@ -0,0 +1,150 @@
+// services/TransferResolver.js - Background worker for pending and unknown-outcome transfers
+//
+// Transfers stuck in 'pending' (server died mid-call) or 'unknown' (provider timed out)
+// still hold the sender's MB. The worker asks the provider what happened, with
+// exponential backoff, and completes them once it reports the delivery. The provider has
+// no documented "no such transaction" answer, so a transfer it can't confirm is never
+// released automatically - it keeps being retried and, after the deadline, is escalated
+// for an admin to settle by hand.
+const { IshareTransfer } = require('../Schema/Schema');
+const providerRouter = require('./ProviderRouter');
+const resilienceService = require('./Resilience');
+const transferService = require('./Transfer');
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// Deliveries in flight hold a lease (deliveringUntil); the grace only covers the moment
+// between a transfer being reserved and its delivery taking the lease
+const PENDING_GRACE_MS = 2 * 60 * 1000;
+
+class TransferResolver {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.deadlineHours = parseInt(process.env.RESOLUTION_DEADLINE_HOURS) || 24;
+  }
+
+  nextDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, attempts), MAX_DELAY_MS);
+  }
+
+  // Transfers due for a status check
+  async findDue(limit = 50) {
+    const now = new Date();
+
+    return IshareTransfer.find({
+      escalatedAt: null,
+      $or: [
+        { status: 'unknown', $or: [{ nextResolutionAt: null }, { nextResolutionAt: { $lte: now } }] },
+        {
+          status: 'pending',
+          queued: { $ne: true }, // The transfer queue still owns delivery
+          createdAt: { $lte: new Date(now.getTime() - PENDING_GRACE_MS) },
+          $and: [
+            { $or: [{ deliveringUntil: null }, { deliveringUntil: { $lte: now } }] },
+            { $or: [{ nextResolutionAt: null }, { nextResolutionAt: { $lte: now } }] }
+          ]
+        }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  }
+
+  // Check one transfer with the provider and settle it if the answer is conclusive
+  async resolve(transfer) {
+    const attempts = transfer.resolutionAttempts + 1;
+    const deadline = new Date(transfer.createdAt.getTime() + this.deadlineHours * 60 * 60 * 1000);
+
+    let statusResult;
+
+    try {
+      const provider = providerRouter.adapterFor(transfer);
+
+      if (!provider) {
+        throw new Error(`Provider "${transfer.provider}" is not registered`);
+      }
+
+      statusResult = await resilienceService.call(provider, 'checkTransactionStatus', [transfer.externalTransactionId]);
+    } catch (error) {
+      statusResult = { error: error.message };
+    }
+
+    const delivered = !statusResult.error &&
+      !!(statusResult.systemTransactionId || statusResult.vendorTransactionId);
+
+    if (delivered) {
+      await transferService.complete(transfer, statusResult);
+      return { transfer: transfer._id, outcome: 'completed' };
+    }
+
+    // An answer without ids proves nothing either way - keep asking and escalate at the deadline
+    const update = {
+      resolutionAttempts: attempts,
+      nextResolutionAt: new Date(Date.now() + this.nextDelay(attempts)),
+      lastResolutionResult: {
+        checkedAt: new Date(),
+        error: statusResult.error,
+        responseCode: statusResult.responseCode,
+        message: statusResult.message,
+        sharedBundle: statusResult.sharedBundle
+      }
+    };
+
+    if (Date.now() >= deadline.getTime()) {
+      update.escalatedAt = new Date();
+      console.error(`🚨 Transfer ${transfer.externalTransactionId} unresolved after ${this.deadlineHours}h - escalated to admins`);
+    }
+
+    await IshareTransfer.updateOne({ _id: transfer._id, status: transfer.status }, update);
+    return { transfer: transfer._id, outcome: update.escalatedAt ? 'escalated' : 'retry' };
+  }
+
+  async tick() {
+    if (this.running) {
+      return [];
+    }
+
+    this.running = true;
+
+    try {
+      const due = await this.findDue();
+      const results = [];
+
+      for (const transfer of due) {
+        try {
+          results.push(await this.resolve(transfer));
+        } catch (error) {
+          console.error(`Failed to resolve transfer ${transfer._id}:`, error.message);
+        }
+      }
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Poll on a timer (RESOLVER_INTERVAL_SECONDS, default every minute)
+  start(intervalSeconds = parseInt(process.env.RESOLVER_INTERVAL_SECONDS) || 60) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('Transfer resolver tick failed:', error.message);
+      });
+    }, intervalSeconds * 1000);
+
+    this.timer.unref();
+    console.log(`🔁 Transfer resolver polling every ${intervalSeconds} seconds`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TransferResolver();
@@ -0,0 +1,277 @@
+// services/Wallet.js - User wallet balance and hold operations
+//
+// Every change to User.ishareBalance goes through here so that the balance,
+// its Transaction row and the balanced journal entry are written together.
+const { User, IshareLoad, Transaction } = require('../Schema/Schema');
+const withTransaction = require('../Connection/transaction');
+const ledgerService = require('./Ledger');
+const webhookService = require('./Webhooks');
+
+// Matches users whose available balance (ishareBalance - heldBalance) covers the amount
+const availableAtLeast = (amountMB) => ({
+  $expr: {
+    $gte: [
+      { $subtract: ['$ishareBalance', { $ifNull: ['$heldBalance', 0] }] },
+      amountMB
+    ]
+  }
+});
+
+class WalletService {
+  // Load MB onto a wallet: IshareLoad record, balance, Transaction and journal entry
+  async credit({ userId, amountMB, reason, performedBy, method = 'web', description }) {
+    const result = await withTransaction(async (session) => {
+      const [load] = await IshareLoad.create([{
+        user: userId,
+        amountMB,
+        loadedBy: performedBy,
+        reason
+      }], { session });
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $inc: { ishareBalance: amountMB } },
+        { new: true, session }
+      ).select('-password');
+
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type: 'admin_load',
+        amount: amountMB,
+        method,
+        ishareLoad: load._id,
+        performedBy,
+        description
+      }], { session });
+
+      await ledgerService.post({
+        type: 'admin_load',
+        debit: ledgerService.accounts.DEALER_FLOAT,
+        credit: ledgerService.walletAccount(userId),
+        amount: amountMB,
+        description,
+        transaction: transaction._id,
+        ishareLoad: load._id,
+        postedBy: performedBy
+      }, { session });
+
+      return { load, transaction, user };
+    });
+
+    webhookService.balanceCredited(userId, result.user, { amountMB, type: 'admin_load', description });
+    return result;
+  }
+
+  // Take MB off the available balance ('admin_debit' or 'data_usage').
+  // Returns null if the available balance cannot cover the amount.
+  async debit({ userId, amountMB, type, performedBy, method = 'web', description }) {
+    const result = await withTransaction(async (session) => {
+      const user = await this.debitAvailable(userId, amountMB, { session });
+
+      if (!user) {
+        return null;
+      }
+
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type,
+        amount: -amountMB, // Negative for deduction
+        method,
+        performedBy,
+        description
+      }], { session });
+
+      await ledgerService.post({
+        type,
+        debit: ledgerService.walletAccount(userId),
+        credit: ledgerService.accounts.DEALER_FLOAT,
+        amount: amountMB,
+        description,
+        transaction: transaction._id,
+        postedBy: performedBy
+      }, { session });
+
+      return { transaction, user };
+    });
+
+    if (result) {
+      webhookService.balanceLowered(userId, result.user, amountMB);
+    }
+
+    return result;
+  }
+
+  // Correct a wallet by a signed amount found by reconciliation. The other side of the
+  // journal entry is suspense until finance clears it. Returns null if a negative
+  // adjustment would take the available balance below zero.
+  async adjust({ userId, amountMB, reason, performedBy }) {
+    const result = await withTransaction(async (session) => {
+      const magnitude = Math.abs(amountMB);
+      const user = amountMB > 0
+        ? await User.findByIdAndUpdate(userId, { $inc: { ishareBalance: magnitude } }, { new: true, session }).select('-password')
+        : await this.debitAvailable(userId, magnitude, { session });
+
+      if (!user) {
+        return null;
+      }
+
+      const description = `Reconciliation adjustment ${amountMB > 0 ? '+' : '-'}${magnitude}MB - ${reason}`;
+
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type: 'reconciliation_adjustment',
+        amount: amountMB,
+        method: 'web',
+        performedBy,
+        description,
+        metadata: { reason }
+      }], { session });
+
+      const wallet = ledgerService.walletAccount(userId);
+      const suspense = ledgerService.accounts.SUSPENSE;
+
+      await ledgerService.post({
+        type: 'reconciliation_adjustment',
+        debit: amountMB > 0 ? suspense : wallet,
+        credit: amountMB > 0 ? wallet : suspense,
+        amount: magnitude,
+        description,
+        transaction: transaction._id,
+        postedBy: performedBy
+      }, { session });
+
+      return { transaction, user };
+    });
+
+    if (result && amountMB > 0) {
+      webhookService.balanceCredited(userId, result.user, {
+        amountMB,
+        type: 'reconciliation_adjustment',
+        description: result.transaction.description
+      });
+    } else if (result) {
+      webhookService.balanceLowered(userId, result.user, -amountMB);
+    }
+
+    return result;
+  }
+
+  // Give MB back for a transfer. A reversal returns delivered stock to the dealer float;
+  // a refund compensates a failed delivery and is written off. Must run inside the
+  // caller's transaction.
+  async creditTransfer(transfer, { type, amountMB, reason, performedBy, reverses, session }) {
+    const user = await User.findByIdAndUpdate(
+      transfer.sender,
+      { $inc: { ishareBalance: amountMB } },
+      { new: true, session }
+    ).select('-password');
+
+    const description = type === 'refund'
+      ? `Refund of ${amountMB}MB for failed transfer to ${transfer.recipientPhoneNumber} - ${reason}`
+      : `Reversed ${amountMB}MB sent to ${transfer.recipientPhoneNumber} - ${reason}`;
+
+    const [transaction] = await Transaction.create([{
+      user: transfer.sender,
+      type,
+      amount: amountMB,
+      method: transfer.method || 'web',
+      ishareTransfer: transfer._id,
+      reverses,
+      performedBy,
+      description,
+      metadata: { reason, transactionId: transfer.externalTransactionId }
+    }], { session });
+
+    await ledgerService.post({
+      type,
+      debit: type === 'refund' ? ledgerService.accounts.WRITE_OFF : ledgerService.accounts.DEALER_FLOAT,
+      credit: ledgerService.walletAccount(transfer.sender),
+      amount: amountMB,
+      description,
+      transaction: transaction._id,
+      ishareTransfer: transfer._id,
+      postedBy: performedBy
+    }, { session });
+
+    return { transaction, user };
+  }
+
+  // Reserve MB for an in-flight transfer. Returns null if the available balance is too low.
+  async hold(userId, amountMB, { session } = {}) {
+    return User.findOneAndUpdate(
+      { _id: userId, isActive: true, ...availableAtLeast(amountMB) },
+      { $inc: { heldBalance: amountMB } },
+      { new: true, session }
+    );
+  }
+
+  // Provider confirmed delivery - turn the hold into a real debit and record it.
+  // Must run inside the caller's transaction.
+  async settleHold(transfer, { method, resolution = null, session }) {
+    const user = await User.findByIdAndUpdate(
+      transfer.sender,
+      { $inc: { ishareBalance: -transfer.amountMB, heldBalance: -transfer.amountMB } },
+      { new: true, session }
+    );
+
+    const description = `Sent ${transfer.amountMB}MB to ${transfer.recipientPhoneNumber} - Transaction ID: ${transfer.externalTransactionId}` +
+      (resolution ? ` - ${resolution.reason}` : '');
+
+    const [transaction] = await Transaction.create([{
+      user: transfer.sender,
+      type: 'transfer_sent',
+      amount: -transfer.amountMB,
+      method,
+      ishareTransfer: transfer._id,
+      performedBy: resolution ? resolution.performedBy : undefined,
+      description
+    }], { session });
+
+    await ledgerService.post({
+      type: 'transfer_sent',
+      debit: ledgerService.walletAccount(transfer.sender),
+      credit: ledgerService.accounts.DEALER_FLOAT,
+      amount: transfer.amountMB,
+      description,
+      transaction: transaction._id,
+      ishareTransfer: transfer._id
+    }, { session });
+
+    return user;
+  }
+
+  // Delivery failed - give the reserved MB back to the available balance
+  async releaseHold(userId, amountMB, { session } = {}) {
+    return User.findByIdAndUpdate(
+      userId,
+      { $inc: { heldBalance: -amountMB } },
+      { new: true, session }
+    );
+  }
+
+  // Conditional decrement of the available balance. Returns null if it cannot cover the amount.
+  async debitAvailable(userId, amountMB, { session } = {}) {
+    return User.findOneAndUpdate(
+      { _id: userId, ...availableAtLeast(amountMB) },
+      { $inc: { ishareBalance: -amountMB } },
+      { new: true, session }
+    ).select('-password');
+  }
+
+  // Balance figures reported by the web, developer and admin APIs
+  summary(user) {
+    const ishareBalance = user.ishareBalance || 0;
+    const heldBalance = user.heldBalance || 0;
+    const availableBalance = ishareBalance - heldBalance;
+
+    return {
+      ishareBalance,
+      heldBalance,
+      availableBalance,
+      balanceInGB: (ishareBalance / 1024).toFixed(2),
+      availableInGB: (availableBalance / 1024).toFixed(2)
+    };
+  }
+}
+
+module.exports = new WalletService();
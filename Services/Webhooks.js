@@ -0,0 +1,366 @@
+// services/Webhooks.js - Outbound webhooks for transfer and wallet events
+//
+// emit() records one WebhookDelivery per active endpoint subscribed to the event; a
+// worker loop posts them. Every request carries:
+//
+//   X-Ishare-Event        transfer.completed | transfer.failed | transfer.reversed | balance.credited | balance.low
+//   X-Ishare-Delivery     delivery id (a resend gets a new one)
+//   X-Ishare-Timestamp    unix seconds when the request was signed
+//   X-Ishare-Signature    sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" under the endpoint secret>
+//
+// The body is { id, event, createdAt, data }; `id` is the event id, the same on every
+// delivery and resend of that event, so receivers can drop duplicates. A non-2xx answer
+// or network error is retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS the
+// delivery is dead and only a manual resend sends it again.
+//
+// Endpoints must resolve to public addresses. Loopback, private, link-local (including the
+// 169.254.169.254 metadata service) and other reserved ranges are refused at registration
+// and again on every delivery, where the connection is pinned to the checked address so a
+// DNS answer cannot change in between. Only the receiver's status code is kept, never its body.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery } = require('../Schema/Schema');
+
+const EVENTS = ['transfer.completed', 'transfer.failed', 'transfer.reversed', 'balance.credited', 'balance.low'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 2000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const LEASE_MS = TIMEOUT_MS + 60 * 1000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 ranges
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Every address the host resolves to, refusing the lookup if any of them is not public
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+      refused.code = 'EBLOCKEDADDRESS';
+      return callback(refused);
+    }
+
+    options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+class WebhookService {
+  constructor() {
+    this.events = EVENTS;
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+    this.timer = null;
+    this.active = 0;
+    this.filling = false;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  // Why an endpoint URL must not be called, or null. Resolves the host, so a name that
+  // points at an internal address is refused as well as a literal one.
+  async targetError(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    if (net.isIP(hostname)) {
+      return isBlockedAddress(hostname) ? `${hostname} is not a public address` : null;
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        publicLookup(hostname, { all: true }, error => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      return error.code === 'EBLOCKEDADDRESS' ? error.message : `${hostname} could not be resolved`;
+    }
+
+    return null;
+  }
+
+  // 30s, 1m, 2m, ... capped at 6h
+  backoff(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  }
+
+  // Queue an event for every active endpoint of the user that subscribed to it.
+  // `accept(endpoint)` can narrow the endpoints further. Never throws - webhooks must not
+  // break the money movement that triggered them.
+  async emit(userId, event, data, accept = () => true) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ user: userId, isActive: true, events: event });
+      const targets = endpoints.filter(accept);
+
+      if (!targets.length) {
+        return [];
+      }
+
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      // Stored as plain JSON so the signed body is the same on every attempt
+      const payload = JSON.parse(JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data }));
+
+      const deliveries = await WebhookDelivery.insertMany(targets.map(endpoint => ({
+        endpoint: endpoint._id,
+        user: userId,
+        event,
+        eventId,
+        payload
+      })));
+
+      this.kick();
+      return deliveries;
+    } catch (error) {
+      console.error(`Could not queue ${event} webhook for user ${userId}:`, error.message);
+      return [];
+    }
+  }
+
+  transferData(transfer) {
+    return {
+      id: transfer._id,
+      transactionId: transfer.externalTransactionId,
+      systemTransactionId: transfer.systemTransactionId,
+      vendorTransactionId: transfer.vendorTransactionId,
+      recipientPhoneNumber: transfer.recipientPhoneNumber,
+      network: transfer.network,
+      amountMB: transfer.amountMB,
+      status: transfer.status,
+      note: transfer.note,
+      failureReason: transfer.failureReason,
+      reversal: transfer.reversal && transfer.reversal.reversedAt
+        ? {
+          type: transfer.reversal.type,
+          amountMB: transfer.reversal.amountMB,
+          reason: transfer.reversal.reason,
+          reversedAt: transfer.reversal.reversedAt
+        }
+        : undefined,
+      createdAt: transfer.createdAt,
+      updatedAt: transfer.updatedAt
+    };
+  }
+
+  // `wallet` is a user document or walletService.summary() - anything with the balance fields
+  balanceData(wallet) {
+    const ishareBalance = wallet.ishareBalance || 0;
+    const heldBalance = wallet.heldBalance || 0;
+    return { ishareBalance, heldBalance, availableBalance: ishareBalance - heldBalance };
+  }
+
+  transferEvent(event, transfer, extra = {}) {
+    return this.emit(transfer.sender, event, { transfer: this.transferData(transfer), ...extra });
+  }
+
+  balanceCredited(userId, wallet, { amountMB, type, description }) {
+    return this.emit(userId, 'balance.credited', {
+      amountMB,
+      type,
+      description,
+      balance: this.balanceData(wallet)
+    });
+  }
+
+  // The available balance just fell by amountMB - tell endpoints whose threshold it crossed
+  balanceLowered(userId, wallet, amountMB) {
+    const balance = this.balanceData(wallet);
+    const previous = balance.availableBalance + amountMB;
+
+    return this.emit(
+      userId,
+      'balance.low',
+      { balance, decreasedByMB: amountMB },
+      endpoint => previous >= endpoint.lowBalanceThresholdMB && balance.availableBalance < endpoint.lowBalanceThresholdMB
+    );
+  }
+
+  // Claim the next due delivery, or one whose worker's lease has lapsed
+  async claim() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        status: 'delivering',
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Post one delivery and record the attempt
+  async attempt(delivery) {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+
+    if (!endpoint || !endpoint.isActive) {
+      return WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { status: 'dead', lockedUntil: null, lastError: 'Endpoint was deleted or disabled' }
+      );
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const entry = { at: new Date() };
+
+    try {
+      const targetError = await this.targetError(endpoint.url);
+
+      if (targetError) {
+        throw new Error(`Refused: ${targetError}`);
+      }
+
+      const response = await axios.post(endpoint.url, body, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        lookup: publicLookup, // Re-checked when connecting - the host may resolve differently now
+        proxy: false,
+        responseType: 'text',
+        transformResponse: [raw => raw],
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ishare-webhooks/1.0',
+          'X-Ishare-Event': delivery.event,
+          'X-Ishare-Delivery': String(delivery._id),
+          'X-Ishare-Timestamp': String(timestamp),
+          'X-Ishare-Signature': this.sign(endpoint.secret, timestamp, body)
+        }
+      });
+
+      entry.httpStatus = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        entry.error = `Receiver answered HTTP ${response.status}`;
+      }
+    } catch (error) {
+      entry.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+
+    entry.latencyMs = Date.now() - startedAt;
+
+    if (!entry.error) {
+      await WebhookDelivery.updateOne(
+        { _id: delivery._id },
+        { status: 'delivered', deliveredAt: new Date(), lockedUntil: null, lastError: null, $push: { log: entry } }
+      );
+      await WebhookEndpoint.updateOne({ _id: endpoint._id }, { lastDeliveryAt: new Date() });
+      return;
+    }
+
+    const dead = delivery.attempts >= MAX_ATTEMPTS;
+    const update = { status: 'dead', lockedUntil: null, lastError: entry.error, $push: { log: entry } };
+
+    if (!dead) {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(Date.now() + this.backoff(delivery.attempts));
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+    await WebhookEndpoint.updateOne({ _id: endpoint._id }, { lastFailureAt: new Date() });
+
+    if (dead) {
+      console.warn(`☠️ Webhook ${delivery.event} delivery ${delivery._id} dead after ${delivery.attempts} attempts: ${entry.error}`);
+    }
+  }
+
+  // Send an earlier delivery again as a new delivery with the same event id and body
+  async resend(delivery) {
+    const resent = await WebhookDelivery.create({
+      endpoint: delivery.endpoint,
+      user: delivery.user,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      payload: delivery.payload,
+      resendOf: delivery._id
+    });
+
+    this.kick();
+    return resent;
+  }
+
+  // Claim deliveries until every worker slot is busy
+  async fill() {
+    if (this.filling) {
+      return;
+    }
+
+    this.filling = true;
+
+    try {
+      while (this.timer && this.active < this.concurrency) {
+        const delivery = await this.claim();
+
+        if (!delivery) {
+          break;
+        }
+
+        this.active += 1;
+
+        this.attempt(delivery)
+          .catch(error => console.error(`Webhook delivery ${delivery._id} crashed:`, error.message))
+          .finally(() => {
+            this.active -= 1;
+            this.kick();
+          });
+      }
+    } finally {
+      this.filling = false;
+    }
+  }
+
+  // Look for work now rather than at the next poll
+  kick() {
+    this.fill().catch(error => {
+      console.error('Webhook poll failed:', error.message);
+    });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.kick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.kick();
+    console.log(`🪝 Webhook delivery running ${this.concurrency} at a time`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new WebhookService();
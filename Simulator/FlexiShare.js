@@ -0,0 +1,334 @@
+// Simulator/FlexiShare.js - Local FlexiShare SOAP simulator for offline development
+//
+// Implements FlexiShareBalanceCheck, FlexiIshareBundle and FlexiIshareTranxStatus
+// against an in-memory dealer balance. Run it and point the app at it:
+//
+//   node Simulator/FlexiShare.js
+//   ISHARE_ENDPOINT=http://localhost:4100/FlexiShareBundles.asmx \
+//   ISHARE_USERNAME=sim ISHARE_PASSWORD=sim node Server.js
+//
+// Control endpoints (JSON):
+//   GET  /_sim/state               dealer balance, transactions and queued scripts
+//   POST /_sim/reset               { balanceMB } - clear transactions and scripts
+//   POST /_sim/balance             { balanceMB } - set the dealer balance
+//   POST /_sim/script              queue a scripted response, consumed by the next matching call:
+//     { operation: 'FlexiIshareBundle' | 'FlexiShareBalanceCheck' | 'FlexiIshareTranxStatus' | '*',
+//       recipientMsisdn,            only match calls for this recipient
+//       times: 1,                   how many calls it applies to
+//       delayMs: 0,                 wait before answering (after the call took effect)
+//       response: { code: '319' }                          any code from getErrorMessage
+//               | { type: 'html', status: 502 }            HTML error page
+//               | { type: 'fault', code, reason, status }  SOAP Fault
+//               | { type: 'drop' }                         close the socket without answering
+//               | { type: 'success' }                      normal handling (use with delayMs) }
+//   DELETE /_sim/script            clear queued scripts
+const express = require('express');
+const { parseXml } = require('../Services/Soap');
+const iShareService = require('../Services/Ishare');
+
+const OPERATIONS = ['FlexiShareBalanceCheck', 'FlexiIshareBundle', 'FlexiIshareTranxStatus'];
+const RESPONSE_TYPES = ['success', 'html', 'fault', 'drop'];
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const envelope = (body) => `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <soap:Body>
+${body}
+  </soap:Body>
+</soap:Envelope>`;
+
+const operationResponse = (operation, fields) => envelope(`    <${operation}Response xmlns="http://tempuri.org/">
+      <${operation}Result>
+${Object.entries(fields).map(([name, value]) => `        <${name}>${escapeXml(value)}</${name}>`).join('\n')}
+      </${operation}Result>
+    </${operation}Response>`);
+
+const faultResponse = (code, reason) => envelope(`    <soap:Fault>
+      <faultcode>${escapeXml(code)}</faultcode>
+      <faultstring>${escapeXml(reason)}</faultstring>
+      <detail />
+    </soap:Fault>`);
+
+const htmlErrorPage = (status) => `<html>
+<head><title>${status} Service Unavailable</title></head>
+<body><h1>${status} Service Unavailable</h1><p>The FlexiShare service is temporarily unavailable.</p></body>
+</html>`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createSimulator = ({
+  balanceMB = parseInt(process.env.SIM_DEALER_BALANCE_MB) || 102400,
+  username = process.env.SIM_USERNAME,
+  password = process.env.SIM_PASSWORD,
+  dealerMsisdn = process.env.SIM_DEALER_MSISDN
+} = {}) => {
+  const state = {
+    balanceMB,
+    expireTime: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+    transactions: new Map(),
+    scripts: [],
+    sequence: 0
+  };
+
+  const reset = (newBalance = balanceMB) => {
+    state.balanceMB = newBalance;
+    state.transactions.clear();
+    state.scripts = [];
+  };
+
+  // First queued script matching this call, consumed as it is used
+  const takeScript = (operation, fields) => {
+    const index = state.scripts.findIndex(script =>
+      (script.operation === '*' || script.operation === operation) &&
+      (!script.recipientMsisdn || script.recipientMsisdn === fields.recipientmsisdn));
+
+    if (index === -1) {
+      return null;
+    }
+
+    const script = state.scripts[index];
+    script.times -= 1;
+
+    if (script.times <= 0) {
+      state.scripts.splice(index, 1);
+    }
+
+    return script;
+  };
+
+  const codeResult = (code) => ({ ResponseCode: code, ResponseMsg: iShareService.getErrorMessage(code) });
+
+  const checkCredentials = (fields) => {
+    if ((username && fields.username !== username) || (password && fields.password !== password)) {
+      return codeResult('305');
+    }
+
+    if (dealerMsisdn && fields.dealermsisdn && fields.dealermsisdn !== dealerMsisdn) {
+      return codeResult('305');
+    }
+
+    return null;
+  };
+
+  const handlers = {
+    FlexiShareBalanceCheck: (fields) => checkCredentials(fields) || {
+      ResponseCode: '200',
+      ResponseMsg: 'Successfully queried; good feedback',
+      DataBalance: state.balanceMB,
+      ExpireTime: state.expireTime
+    },
+
+    FlexiIshareBundle: (fields) => {
+      const denied = checkCredentials(fields);
+
+      if (denied) {
+        return denied;
+      }
+
+      const recipient = fields.recipientmsisdn || '';
+      const amountMB = parseInt(fields.sharedbundle, 10);
+      const existing = state.transactions.get(fields.transactionid);
+
+      // The real service answers a repeated transactionId with the original result
+      if (existing) {
+        return { ...codeResult('200'), systemTranx_id: existing.systemTranxId, vendorTranx_id: existing.vendorTranxId };
+      }
+
+      if (!/^\d+$/.test(recipient)) {
+        return codeResult('161');
+      }
+
+      if (recipient.length !== 12) {
+        return codeResult('165');
+      }
+
+      if (!recipient.startsWith('233')) {
+        return codeResult('306');
+      }
+
+      if (!amountMB || amountMB > state.balanceMB) {
+        return codeResult('319');
+      }
+
+      state.sequence += 1;
+      state.balanceMB -= amountMB;
+
+      const transaction = {
+        transactionId: fields.transactionid,
+        recipientMsisdn: recipient,
+        amountMB,
+        systemTranxId: `SYS${Date.now()}${state.sequence}`,
+        vendorTranxId: `VND${state.sequence.toString().padStart(8, '0')}`,
+        createdAt: new Date().toISOString()
+      };
+
+      state.transactions.set(fields.transactionid, transaction);
+
+      return { ...codeResult('200'), systemTranx_id: transaction.systemTranxId, vendorTranx_id: transaction.vendorTranxId };
+    },
+
+    FlexiIshareTranxStatus: (fields) => {
+      const denied = checkCredentials(fields);
+
+      if (denied) {
+        return denied;
+      }
+
+      const transaction = state.transactions.get(fields.transactionid);
+
+      if (!transaction) {
+        return { ResponseCode: '404', ResponseMsg: 'Transaction not found' };
+      }
+
+      return {
+        ResponseCode: '200',
+        ResponseMsg: 'Successful',
+        SharedBundle: transaction.amountMB,
+        VendorTranxId: transaction.vendorTranxId,
+        SystemTranxId: transaction.systemTranxId,
+        SenderMsisdn: dealerMsisdn || fields.dealermsisdn || '',
+        RecipientMsisdn: transaction.recipientMsisdn
+      };
+    }
+  };
+
+  const app = express();
+
+  // ==================== CONTROL ====================
+
+  app.get('/_sim/state', (req, res) => {
+    res.json({
+      balanceMB: state.balanceMB,
+      expireTime: state.expireTime,
+      transactions: Array.from(state.transactions.values()),
+      scripts: state.scripts
+    });
+  });
+
+  app.post('/_sim/reset', express.json(), (req, res) => {
+    reset(req.body.balanceMB !== undefined ? parseInt(req.body.balanceMB) : balanceMB);
+    res.json({ balanceMB: state.balanceMB });
+  });
+
+  app.post('/_sim/balance', express.json(), (req, res) => {
+    const value = parseInt(req.body.balanceMB);
+
+    if (isNaN(value) || value < 0) {
+      return res.status(400).json({ error: 'balanceMB must be a non-negative number' });
+    }
+
+    state.balanceMB = value;
+    res.json({ balanceMB: state.balanceMB });
+  });
+
+  app.post('/_sim/script', express.json(), (req, res) => {
+    const { operation = 'FlexiIshareBundle', recipientMsisdn, times = 1, delayMs = 0, response = { type: 'success' } } = req.body;
+
+    if (operation !== '*' && !OPERATIONS.includes(operation)) {
+      return res.status(400).json({ error: `operation must be one of: *, ${OPERATIONS.join(', ')}` });
+    }
+
+    if (!response || typeof response !== 'object' || Array.isArray(response)) {
+      return res.status(400).json({ error: 'response must be an object' });
+    }
+
+    if (response.type !== undefined && !RESPONSE_TYPES.includes(response.type)) {
+      return res.status(400).json({ error: `response.type must be one of: ${RESPONSE_TYPES.join(', ')}` });
+    }
+
+    // A code on its own replaces the call; 'success' always runs it
+    if (response.type === 'success' && response.code) {
+      return res.status(400).json({ error: 'A success response cannot carry a code - script { code } without a type instead' });
+    }
+
+    const script = { operation, recipientMsisdn, times: parseInt(times) || 1, delayMs: parseInt(delayMs) || 0, response };
+    state.scripts.push(script);
+    res.status(201).json({ script, queued: state.scripts.length });
+  });
+
+  app.delete('/_sim/script', (req, res) => {
+    state.scripts = [];
+    res.json({ queued: 0 });
+  });
+
+  // ==================== SOAP ====================
+
+  // ASMX service page - the app's connectivity test GETs the endpoint
+  app.get('*', (req, res) => {
+    res.type('html').send(`<html><body><h1>FlexiShareBundles (simulator)</h1><ul>${OPERATIONS.map(op => `<li>${op}</li>`).join('')}</ul></body></html>`);
+  });
+
+  app.post('*', express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+    let operation;
+    let fields = {};
+
+    try {
+      const document = parseXml(String(req.body || ''));
+      const soapEnvelope = document.children.find(child => child.localName === 'Envelope');
+      const body = soapEnvelope && soapEnvelope.children.find(child => child.localName === 'Body');
+      const request = body && body.children[0];
+
+      if (!request) {
+        throw new Error('Missing SOAP Body');
+      }
+
+      operation = request.localName;
+
+      for (const child of request.children) {
+        fields[child.localName.toLowerCase()] = child.text.trim();
+      }
+    } catch (error) {
+      return res.status(500).type('text/xml').send(faultResponse('soap:Client', `Server was unable to read request. ${error.message}`));
+    }
+
+    if (!handlers[operation]) {
+      return res.status(500).type('text/xml').send(faultResponse('soap:Client', `Server did not recognize the operation: ${operation}`));
+    }
+
+    const script = takeScript(operation, fields);
+    const scripted = script ? script.response : { type: 'success' };
+
+    if (scripted.type === 'drop') {
+      return req.socket.destroy();
+    }
+
+    // Scripted codes replace the call; 'success' runs it (and changes state) before any delay
+    const result = scripted.code
+      ? codeResult(String(scripted.code))
+      : scripted.type === 'success' || !scripted.type ? handlers[operation](fields) : null;
+
+    if (script && script.delayMs) {
+      await sleep(script.delayMs);
+    }
+
+    if (scripted.type === 'html') {
+      return res.status(scripted.status || 503).type('html').send(htmlErrorPage(scripted.status || 503));
+    }
+
+    if (scripted.type === 'fault') {
+      return res.status(scripted.status || 500).type('text/xml')
+        .send(faultResponse(scripted.code || 'soap:Server', scripted.reason || 'Server was unable to process request.'));
+    }
+
+    res.type('text/xml').send(operationResponse(operation, result));
+  });
+
+  return { app, state, reset };
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.SIM_PORT) || 4100;
+  const { app, state } = createSimulator();
+
+  app.listen(port, () => {
+    console.log(`🧪 FlexiShare simulator on http://localhost:${port}/FlexiShareBundles.asmx`);
+    console.log(`   Dealer balance: ${state.balanceMB}MB - control API at http://localhost:${port}/_sim/state`);
+  });
+}
+
+module.exports = { createSimulator };
@@ -0,0 +1,183 @@
+// Signed API requests - canonicalRequest, sign and verifyRequest in Services/ApiKeys.js.
+// ApiNonce.create is stubbed; a duplicate key error stands in for a nonce already stored.
+const { test, describe, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ApiNonce } = require('../Schema/Schema');
+const apiKeyService = require('../Services/ApiKeys');
+
+const apiKey = { _id: 'key-1', signingSecret: 'ishs_test_secret' };
+
+const signed = (overrides = {}) => {
+  const request = {
+    method: 'POST',
+    path: '/api/send-ishare?dryRun=false',
+    body: '{"recipient":"0241234567","amount":1024}',
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    nonce: 'n0nce_abcdefghijklmnop',
+    ...overrides
+  };
+
+  return { ...request, signature: apiKeyService.sign(apiKey.signingSecret, request) };
+};
+
+let stored;
+
+beforeEach(() => {
+  stored = [];
+  mock.restoreAll();
+  mock.method(ApiNonce, 'create', async (doc) => {
+    if (stored.some(existing => existing.apiKey === doc.apiKey && existing.nonce === doc.nonce)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+
+    stored.push(doc);
+    return doc;
+  });
+});
+
+describe('canonicalRequest', () => {
+  test('joins method, path, body hash, timestamp and nonce', () => {
+    const canonical = apiKeyService.canonicalRequest({
+      method: 'post',
+      path: '/api/balance?x=1',
+      body: 'hello',
+      timestamp: '1792398615',
+      nonce: 'abcdefghijklmnop'
+    });
+
+    const bodyHash = crypto.createHash('sha256').update('hello').digest('hex');
+    assert.equal(canonical, `POST\n/api/balance?x=1\n${bodyHash}\n1792398615\nabcdefghijklmnop`);
+  });
+
+  test('hashes a missing body as empty', () => {
+    const canonical = apiKeyService.canonicalRequest({ method: 'GET', path: '/api/balance', timestamp: '1', nonce: 'n' });
+    const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+
+    assert.equal(canonical.split('\n')[2], emptyHash);
+  });
+});
+
+describe('sign', () => {
+  test('is an HMAC-SHA256 of the canonical request under the signing secret', () => {
+    const request = { method: 'GET', path: '/api/balance', body: '', timestamp: '1792398615', nonce: 'abcdefghijklmnop' };
+    const expected = crypto.createHmac('sha256', apiKey.signingSecret)
+      .update(apiKeyService.canonicalRequest(request))
+      .digest('hex');
+
+    assert.equal(apiKeyService.sign(apiKey.signingSecret, request), `sha256=${expected}`);
+  });
+});
+
+describe('verifyRequest', () => {
+  test('accepts a valid signature and stores the nonce', async () => {
+    const request = signed();
+
+    assert.deepEqual(await apiKeyService.verifyRequest(apiKey, request), {});
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].apiKey, apiKey._id);
+    assert.equal(stored[0].nonce, request.nonce);
+    assert.ok(stored[0].expiresAt > new Date());
+  });
+
+  test('rejects a changed body', async () => {
+    const request = { ...signed(), body: '{"recipient":"0241234567","amount":999999}' };
+    const result = await apiKeyService.verifyRequest(apiKey, request);
+
+    assert.match(result.error, /signature does not match/);
+    assert.equal(stored.length, 0);
+  });
+
+  test('rejects a changed path', async () => {
+    const result = await apiKeyService.verifyRequest(apiKey, { ...signed(), path: '/api/send-ishare?dryRun=true' });
+
+    assert.match(result.error, /signature does not match/);
+  });
+
+  test('rejects a changed method', async () => {
+    const result = await apiKeyService.verifyRequest(apiKey, { ...signed(), method: 'PUT' });
+
+    assert.match(result.error, /signature does not match/);
+  });
+
+  test('rejects a signature under another secret', async () => {
+    const result = await apiKeyService.verifyRequest({ ...apiKey, signingSecret: 'ishs_other_secret' }, signed());
+
+    assert.match(result.error, /signature does not match/);
+  });
+
+  test('rejects a signature of the wrong length', async () => {
+    const request = signed();
+
+    for (const signature of [request.signature.slice(0, -1), `${request.signature}0`, 'sha256=']) {
+      const result = await apiKeyService.verifyRequest(apiKey, { ...request, signature });
+      assert.match(result.error, /signature does not match/, signature);
+    }
+
+    assert.equal(stored.length, 0);
+  });
+
+  test('rejects timestamps outside the allowed skew', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = apiKeyService.maxSkewSeconds;
+
+    for (const timestamp of [now - skew - 5, now + skew + 5]) {
+      const result = await apiKeyService.verifyRequest(apiKey, signed({ timestamp: String(timestamp) }));
+      assert.match(result.error, /timestamp is missing, malformed or more than/, String(timestamp));
+    }
+  });
+
+  test('accepts timestamps inside the allowed skew', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - apiKeyService.maxSkewSeconds + 5);
+
+    assert.deepEqual(await apiKeyService.verifyRequest(apiKey, signed({ timestamp })), {});
+  });
+
+  test('rejects a malformed timestamp', async () => {
+    for (const timestamp of ['1792398615.5', '-1792398615', 'yesterday']) {
+      const result = await apiKeyService.verifyRequest(apiKey, signed({ timestamp }));
+      assert.match(result.error, /timestamp is missing, malformed/, timestamp);
+    }
+  });
+
+  test('rejects a malformed nonce', async () => {
+    for (const nonce of ['short', 'has spaces in the nonce', 'semi;colon_abcdefghij', 'x'.repeat(129)]) {
+      const result = await apiKeyService.verifyRequest(apiKey, signed({ nonce }));
+      assert.match(result.error, /X-Ishare-Nonce must be/, nonce);
+    }
+
+    assert.equal(stored.length, 0);
+  });
+
+  test('rejects missing signing headers', async () => {
+    const request = signed();
+
+    for (const field of ['timestamp', 'nonce', 'signature']) {
+      const result = await apiKeyService.verifyRequest(apiKey, { ...request, [field]: undefined });
+      assert.match(result.error, /need X-Ishare-Timestamp, X-Ishare-Nonce and X-Ishare-Signature/, field);
+    }
+  });
+
+  test('rejects a key without a signing secret', async () => {
+    const result = await apiKeyService.verifyRequest({ _id: 'key-2' }, signed());
+
+    assert.match(result.error, /no signing secret/);
+  });
+
+  test('rejects a replayed nonce', async () => {
+    const request = signed();
+
+    assert.deepEqual(await apiKeyService.verifyRequest(apiKey, request), {});
+
+    const replay = await apiKeyService.verifyRequest(apiKey, request);
+    assert.match(replay.error, /already been used/);
+  });
+
+  test('passes on database errors other than a duplicate nonce', async () => {
+    mock.method(ApiNonce, 'create', async () => {
+      throw new Error('connection reset');
+    });
+
+    await assert.rejects(apiKeyService.verifyRequest(apiKey, signed()), /connection reset/);
+  });
+});
@@ -0,0 +1,125 @@
+// FlexiShare response parsing against the fixtures in test/fixtures/flexishare.
+// The fixtures are synthetic (see the README there) - swap in captured payloads as they
+// become available.
+const { test, describe, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const iShareService = require('../Services/Ishare');
+const { SoapFaultError } = require('../Services/Soap');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'flexishare', name), 'utf8');
+
+// The parsers log every response - keep the test output readable
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+describe('parseBalanceResponse', () => {
+  test('reads the dealer balance', () => {
+    const result = iShareService.parseBalanceResponse(fixture('balance.xml'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.responseCode, '200');
+    assert.equal(result.balance, 204800);
+    assert.equal(result.balanceInGB, '200.00');
+    assert.equal(result.expireTime, '2026-12-31 23:59:59');
+  });
+
+  test('throws SOAP 1.1 faults as SoapFaultError', () => {
+    assert.throws(() => iShareService.parseBalanceResponse(fixture('fault-soap11.xml')), (error) => {
+      assert.ok(error instanceof SoapFaultError);
+      assert.equal(error.faultCode, 'soap:Server');
+      assert.match(error.faultReason, /Object reference not set/);
+      return true;
+    });
+  });
+
+  test('throws SOAP 1.2 faults as SoapFaultError', () => {
+    assert.throws(() => iShareService.parseBalanceResponse(fixture('fault-soap12.xml')), (error) => {
+      assert.ok(error instanceof SoapFaultError);
+      assert.equal(error.faultCode, 'soap:Receiver');
+      assert.match(error.faultReason, /Timeout expired/);
+      return true;
+    });
+  });
+
+  test('rejects an HTML error page', () => {
+    assert.throws(() => iShareService.parseBalanceResponse(fixture('error-page.html')), /HTML error page/);
+  });
+});
+
+describe('parseTransferResponse', () => {
+  test('reads a successful transfer', () => {
+    const result = iShareService.parseTransferResponse(fixture('transfer-success.xml'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.responseCode, '200');
+    assert.equal(result.systemTransactionId, 'ATL20261019083015123');
+    assert.equal(result.vendorTransactionId, 'API_1792398615123_K3F9QX');
+  });
+
+  test('reads a result returned as an escaped XML string', () => {
+    const result = iShareService.parseTransferResponse(fixture('transfer-escaped-result.xml'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.systemTransactionId, 'ATL20261019083015124');
+    assert.equal(result.vendorTransactionId, 'API_1792398615124_P7M2ZA');
+  });
+
+  for (const code of ['319', '306', '161', '165', '305', '312', '61319', '64528']) {
+    test(`reads error code ${code}`, () => {
+      const result = iShareService.parseTransferResponse(fixture(`transfer-error-${code}.xml`));
+
+      assert.equal(result.success, false);
+      assert.equal(result.responseCode, code);
+      assert.equal(result.message, iShareService.getErrorMessage(code));
+      assert.equal(result.systemTransactionId, null);
+    });
+  }
+
+  test('returns a SOAP 1.1 fault as a failed result', () => {
+    const result = iShareService.parseTransferResponse(fixture('fault-soap11.xml'));
+
+    assert.equal(result.success, false);
+    assert.equal(result.responseCode, null);
+    assert.equal(result.fault.code, 'soap:Server');
+    assert.match(result.message, /SOAP Fault soap:Server/);
+  });
+
+  test('returns a SOAP 1.2 fault as a failed result', () => {
+    const result = iShareService.parseTransferResponse(fixture('fault-soap12.xml'));
+
+    assert.equal(result.success, false);
+    assert.equal(result.fault.code, 'soap:Receiver');
+    assert.match(result.fault.reason, /Timeout expired/);
+  });
+
+  test('returns an HTML error page as a parse error', () => {
+    const result = iShareService.parseTransferResponse(fixture('error-page.html'));
+
+    assert.equal(result.success, false);
+    assert.match(result.parseError, /HTML error page/);
+  });
+});
+
+describe('parseTransactionStatusResponse', () => {
+  test('reads a delivered transaction', () => {
+    const result = iShareService.parseTransactionStatusResponse(fixture('status-delivered.xml'));
+
+    assert.equal(result.responseCode, '200');
+    assert.equal(result.sharedBundle, 1024);
+    assert.equal(result.systemTransactionId, 'ATL20261019083015123');
+    assert.equal(result.vendorTransactionId, 'API_1792398615123_K3F9QX');
+    assert.equal(result.recipientMsisdn, '233261234567');
+  });
+
+  test('throws SOAP faults as SoapFaultError', () => {
+    assert.throws(() => iShareService.parseTransactionStatusResponse(fixture('fault-soap12.xml')), SoapFaultError);
+  });
+
+  test('rejects an HTML error page', () => {
+    assert.throws(() => iShareService.parseTransactionStatusResponse(fixture('error-page.html')), /HTML error page/);
+  });
+});
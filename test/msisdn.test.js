@@ -0,0 +1,118 @@
+// Ghana mobile number parsing and network detection in Services/Msisdn.js
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const msisdn = require('../Services/Msisdn');
+
+describe('parse', () => {
+  test('reads a national number', () => {
+    assert.deepEqual(msisdn.parse('0241234567'), {
+      e164: '+233241234567',
+      international: '233241234567',
+      national: '0241234567',
+      prefix: '024',
+      network: 'mtn'
+    });
+  });
+
+  test('reads a national number without the trunk 0', () => {
+    assert.equal(msisdn.normalize('241234567'), '+233241234567');
+  });
+
+  test('ignores spaces, dashes, dots and brackets', () => {
+    assert.equal(msisdn.normalize(' 024-123.45 67 '), '+233241234567');
+    assert.equal(msisdn.normalize('(024) 123 4567'), '+233241234567');
+  });
+
+  test('reads a 233-prefixed number', () => {
+    assert.equal(msisdn.normalize('233201234567'), '+233201234567');
+    assert.equal(msisdn.normalize('0233201234567'), '+233201234567');
+    assert.equal(msisdn.normalize('00233201234567'), '+233201234567');
+  });
+
+  test('reads a +233 number', () => {
+    assert.equal(msisdn.normalize('+233261234567'), '+233261234567');
+    assert.equal(msisdn.normalize('+233 26 123 4567'), '+233261234567');
+  });
+
+  test('drops a trunk 0 kept after the country code', () => {
+    assert.equal(msisdn.normalize('+233 (0)54 123 4567'), '+233541234567');
+    assert.equal(msisdn.normalize('2330541234567'), '+233541234567');
+  });
+
+  test('names the network from the prefix', () => {
+    for (const [network, prefixes] of Object.entries(msisdn.NETWORK_PREFIXES)) {
+      for (const prefix of prefixes) {
+        assert.equal(msisdn.networkOf(`0${prefix}1234567`), network, `0${prefix}`);
+      }
+    }
+  });
+
+  test('throws an MsisdnError with the reason', () => {
+    assert.throws(() => msisdn.parse('02412'), (error) => {
+      assert.ok(error instanceof msisdn.MsisdnError);
+      assert.equal(error.reason, 'TOO_SHORT');
+      assert.equal(error.input, '02412');
+      return true;
+    });
+  });
+});
+
+describe('check', () => {
+  const reasonOf = (input) => msisdn.check(input).reason;
+
+  test('returns the parsed number for a valid input', () => {
+    const result = msisdn.check('0501234567');
+
+    assert.equal(result.valid, true);
+    assert.equal(result.e164, '+233501234567');
+    assert.equal(result.network, 'telecel');
+  });
+
+  test('rejects a missing number', () => {
+    assert.equal(reasonOf(''), 'REQUIRED');
+    assert.equal(reasonOf('   '), 'REQUIRED');
+    assert.equal(reasonOf(null), 'REQUIRED');
+    assert.equal(reasonOf(undefined), 'REQUIRED');
+  });
+
+  test('rejects letters and other characters', () => {
+    assert.equal(reasonOf('024abc4567'), 'INVALID_CHARACTERS');
+    assert.equal(reasonOf('024+1234567'), 'INVALID_CHARACTERS');
+  });
+
+  test('rejects short numbers', () => {
+    const result = msisdn.check('024123456');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'TOO_SHORT');
+    assert.match(result.message, /got 8/);
+    assert.equal(reasonOf('+23324123456'), 'TOO_SHORT');
+  });
+
+  test('rejects long numbers', () => {
+    assert.equal(reasonOf('02412345678'), 'TOO_LONG');
+    assert.equal(reasonOf('+2332412345678'), 'TOO_LONG');
+  });
+
+  test('rejects numbers from other countries', () => {
+    assert.equal(reasonOf('+447911123456'), 'FOREIGN_NUMBER');
+    assert.equal(reasonOf('00447911123456'), 'FOREIGN_NUMBER');
+  });
+
+  test('rejects fixed-line numbers', () => {
+    assert.equal(reasonOf('0302123456'), 'NOT_MOBILE');
+    assert.equal(reasonOf('+233312123456'), 'NOT_MOBILE');
+  });
+
+  test('rejects prefixes no supported network uses', () => {
+    for (const input of ['0281234567', '0231234567', '0511234567', '+233581234567']) {
+      const result = msisdn.check(input);
+
+      assert.equal(result.valid, false, input);
+      assert.equal(result.reason, 'UNKNOWN_PREFIX', input);
+    }
+
+    assert.equal(msisdn.networkOf('0281234567'), null);
+    assert.equal(msisdn.isValid('0281234567'), false);
+  });
+});